@@ -0,0 +1,2 @@
+require('coffeescript/register');
+module.exports = require('./index.coffee');
@@ -188,3 +188,186 @@ describe('Georgia RFP Scraper - Application Tests', function() {
     });
   });
 });
+
+describe('Georgia RFP Scraper - against a local copy of the registry', function() {
+  const http = require('http');
+  const createLogger = require('../../bin/utils/logger');
+  const validateSchema = require('../../bin/utils/validate_schema');
+
+  let server;
+  let baseUrl;
+  let searches = [];
+  let detailRequests = [];
+
+  // One open state bid, one awarded local bid, one canceled maintenance bid, and an
+  // open bid that's also listed as awarded, to check that it's only returned once.
+  const LISTINGS = {
+    'OPEN state': [['47800-DOAS0001', 'PublicBidDetail?bso=1']],
+    'AWARDED local': [['LOCAL-7', 'PublicBidDetail?bso=7'], ['47800-DOAS0001', 'PublicBidDetail?bso=1']],
+    'CANCELLED state': [['MAINT-3', 'maintanence?eQHeaderPK=3&source=publicViewQuote']]
+  };
+
+  const listingPage = (rows) => `<html><body>
+    <table></table><table></table><table></table>
+    <table>
+      <tr><th>Bid Number</th><th>Title</th></tr>
+      ${rows.map(([id, href]) => `<tr><td><a href="${href}">${id}</a></td><td>Bid ${id}</td></tr>`).join('')}
+    </table></body></html>`;
+
+  const detailRow = (label, value) => `<tr><td></td><td>${label}</td><td></td><td>${value}</td></tr>`;
+
+  const detailPage = (bso) => `<html><body>
+    <table></table>
+    <table>
+      ${detailRow('Bid Title', `Office Supplies ${bso}`)}
+      ${detailRow('Agency', 'Department of Administrative Services')}
+      ${detailRow('Contact E-mail Address', 'buyer@example.com')}
+      ${detailRow('Bid Closing Date/Time', '3/15/2024 2:00 PM')}
+    </table>
+    <textarea name="bidD">Paper and toner</textarea>
+    <h2>NIGP codes assigned to bid</h2><table><tr><td><a>61500</a></td></tr></table>
+    <h2>Documents</h2><table><tr><td><a href="http://example.com/${bso}.pdf">Bid document</a></td></tr></table>
+  </body></html>`;
+
+  const maintenanceRow = (label, value) => `<tr><td>${label}</td><td>${value}</td></tr>`;
+
+  const maintenancePage = () => `<html><body>
+    <table></table><table></table><table></table>
+    <table>
+      ${maintenanceRow('eSource Title', 'HVAC Maintenance')}
+      ${maintenanceRow('eSource Description', 'Quarterly HVAC service')}
+      ${maintenanceRow('Contact Email', 'facilities@example.com')}
+      ${maintenanceRow('eSource Close Date', '4/1/2024 5:00 PM')}
+      ${maintenanceRow('NIGP Code Selection', '910-39 Air Conditioning Maintenance, 910-40 Heating')}
+    </table>
+    <h2>Documents</h2><table><tr><td><a href="http://example.com/hvac.pdf">Scope of work</a></td></tr></table>
+  </body></html>`;
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        if (req.method === 'POST') {
+          const form = new URLSearchParams(body);
+          const key = `${form.get('theType')} ${form.get('govType')}`;
+          searches.push(key);
+          return res.end(listingPage(LISTINGS[key] || []));
+        }
+        detailRequests.push(url.pathname + url.search);
+        if (url.pathname.endsWith('/maintanence')) return res.end(maintenancePage());
+        res.end(detailPage(url.searchParams.get('bso')));
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/PRSapp/`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    searches = [];
+    detailRequests = [];
+  });
+
+  const scrape = (options, extra = {}) => {
+    const scraper = require('../../scrapers/states/ga/rfps.coffee');
+    return scraper(Object.assign({
+      config: { urls: { bids: `${baseUrl}PublicBidDisplay` } },
+      options: options,
+      delay: 0,
+      retries: 0,
+      log: createLogger('ga', { silent: true })
+    }, extra));
+  };
+
+  it('should only search open state bids by default', async function() {
+    const result = await scrape();
+    assert.deepStrictEqual(searches, ['OPEN state']);
+    assert.deepStrictEqual(result.items.map((i) => [i.id, i.awarded, i.canceled]), [['47800-DOAS0001', false, false]]);
+    assert.strictEqual(result.items[0].title, 'Office Supplies 1');
+  });
+
+  it('should search every status and government type asked for, once per bid', async function() {
+    const result = await scrape({ status: 'all', gov_type: ['state', 'local'] });
+
+    assert.strictEqual(searches.length, 8);
+    assert.deepStrictEqual(result.items.map((i) => [i.id, i.awarded, i.canceled]), [
+      ['47800-DOAS0001', false, false],
+      ['LOCAL-7', true, false],
+      ['MAINT-3', false, true]
+    ]);
+  });
+
+  it('should return maintenance bids in the same shape as regular ones', async function() {
+    const result = await scrape({ status: 'canceled' });
+    const item = result.items[0];
+
+    assert.strictEqual(item.title, 'HVAC Maintenance');
+    assert.strictEqual(item.responses_due_at, '4/1/2024 5:00 PM');
+    assert.deepStrictEqual(item.nigp_codes, ['91039', '91040']);
+    assert.deepStrictEqual(item.downloads, ['http://example.com/hvac.pdf']);
+    assert.deepStrictEqual(item.prebid_conferences, []);
+    assert(!('industry_codes' in item));
+  });
+
+  it('should produce items that match the RFP schema', async function() {
+    const result = await scrape({ status: 'all', gov_type: 'all' });
+    assert.deepStrictEqual(validateSchema(result.items).rules, []);
+  });
+
+  it('should emit each bid, and take the ones it already has from the checkpoint', async function() {
+    const { Checkpoint } = require('../../bin/utils/checkpoint');
+    const saved = { id: 'LOCAL-7', title: 'Saved before the last run failed', downloads: [] };
+    const emitted = [];
+
+    const result = await scrape({ status: 'all', gov_type: 'all' }, {
+      checkpoint: new Checkpoint(null, [saved]),
+      onItem: (item) => emitted.push(item.id)
+    });
+
+    assert.deepStrictEqual(emitted.sort(), ['47800-DOAS0001', 'LOCAL-7', 'MAINT-3']);
+    assert(!detailRequests.some((url) => url.includes('bso=7')), 'should not fetch a checkpointed bid again');
+    assert.strictEqual(result.items.find((i) => i.id === 'LOCAL-7').title, 'Saved before the last run failed');
+  });
+
+  it('should stop searching once it has --limit bids', async function() {
+    const result = await scrape({ status: 'all', gov_type: 'all' }, { limit: 2 });
+
+    assert.deepStrictEqual(searches, ['OPEN state', 'OPEN local', 'CLOSED state', 'CLOSED local', 'AWARDED state', 'AWARDED local']);
+    assert.deepStrictEqual(result.items.map((i) => i.id), ['47800-DOAS0001', 'LOCAL-7']);
+    assert.strictEqual(detailRequests.length, 2);
+  });
+
+  it('should stop fetching details once emit says it has enough', async function() {
+    const scraperContext = require('../../bin/utils/scraper_context');
+    const ctx = scraperContext({
+      config: { urls: { bids: `${baseUrl}PublicBidDisplay` } },
+      options: { status: 'all', gov_type: 'all' },
+      delay: 0,
+      retries: 0,
+      concurrency: 1,
+      log: createLogger('ga', { silent: true })
+    });
+    ctx.emit = (item) => { ctx.emitted.push(item); return false; };
+
+    const result = await require('../../scrapers/states/ga/rfps.coffee')(ctx);
+    assert.strictEqual(searches.length, 8);
+    assert.deepStrictEqual(detailRequests, ['/PRSapp/PublicBidDetail?bso=1']);
+    assert.deepStrictEqual(result.items.map((i) => i.id), ['47800-DOAS0001']);
+  });
+
+  it('should fail on options it does not know', async function() {
+    const result = await scrape({ status: 'pending' });
+    assert.strictEqual(result.errors[0].fatal, true);
+    assert.match(result.errors[0].message, /Unknown status 'pending'. Try open, closed, awarded, canceled or all/);
+    assert.deepStrictEqual(searches, []);
+  });
+});
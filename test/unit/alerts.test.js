@@ -0,0 +1,178 @@
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const runAlerts = require('../../bin/utils/alerts');
+const { loadSearches, matchesSearch, alertCandidates, buildDigests } = runAlerts;
+
+// Just enough of an SMTP server to accept messages, like a local test mail server would.
+const startSmtpServer = (received) => new Promise((resolve) => {
+  const server = net.createServer((socket) => {
+    let inData = false;
+    let message = '';
+    socket.write('220 localhost test\r\n');
+    socket.on('data', (chunk) => {
+      for (const line of chunk.toString().split('\r\n')) {
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            received.push(message);
+            message = '';
+            socket.write('250 OK\r\n');
+          } else {
+            message += `${line}\n`;
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 Go ahead\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else if (line) {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+describe('alerts utility', function() {
+  const now = new Date('2024-03-01T12:00:00Z');
+  let dir;
+
+  const rfps = [
+    { jurisdiction: 'ga', id: 'GA-1', title: 'Office Supplies', description: 'Toner and paper', department_name: 'Department of Administrative Services', responses_due_at: '3/15/2024 2:00 PM', nigp_codes: ['61520'], html_url: 'http://example.com/1' },
+    { jurisdiction: 'ga', id: 'GA-2', title: 'Road Resurfacing', department_name: 'Department of Transportation', responses_due_at: '3/4/2024 2:00 PM', nigp_codes: ['74500'] },
+    { jurisdiction: 'ga/counties/fulton', id: 'F-1', title: 'Paper Towels', responses_due_at: 'TBD' }
+  ];
+
+  const writeSearches = (contents) => {
+    const file = path.join(dir, 'searches.yml');
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-alerts-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loadSearches', function() {
+    it('should read searches, turning single values into lists', function() {
+      const config = loadSearches(writeSearches('searches:\n  - name: Paper\n    keywords: paper\n'));
+      assert.deepStrictEqual(config.searches, [{ name: 'Paper', keywords: ['paper'] }]);
+      assert.strictEqual(config.digests.dir, 'digests');
+      assert.strictEqual(config.smtp, null);
+    });
+
+    it('should explain what is wrong with a searches file', function() {
+      assert.throws(() => loadSearches(path.join(dir, 'missing.yml')), /Couldn't find saved searches/);
+      assert.throws(() => loadSearches(writeSearches('searches: []\n')), /doesn't define any searches/);
+      assert.throws(() => loadSearches(writeSearches('searches:\n  - keywords: [a]\n')), /needs a name/);
+      assert.throws(() => loadSearches(writeSearches('searches:\n  - name: A\n    keyword: a\n')), /unknown key\(s\): keyword/);
+    });
+  });
+
+  describe('matchesSearch', function() {
+    const ids = (search) => rfps.filter((rfp) => matchesSearch(search, rfp, { now, timezone: 'America/New_York' })).map((r) => r.id);
+
+    it('should match any keyword in the title, description or commodity', function() {
+      assert.deepStrictEqual(ids({ keywords: ['paper'] }), ['GA-1', 'F-1']);
+      assert.deepStrictEqual(ids({ keywords: ['TONER', 'asphalt'] }), ['GA-1']);
+    });
+
+    it('should match NIGP codes and classes', function() {
+      assert.deepStrictEqual(ids({ nigp_codes: ['745'] }), ['GA-2']);
+      assert.deepStrictEqual(ids({ nigp_codes: ['61520', '99999'] }), ['GA-1']);
+    });
+
+    it('should match departments and jurisdictions', function() {
+      assert.deepStrictEqual(ids({ departments: ['transportation'] }), ['GA-2']);
+      assert.deepStrictEqual(ids({ jurisdictions: ['ga/counties'] }), ['F-1']);
+      assert.deepStrictEqual(ids({ jurisdictions: ['ga'] }), ['GA-1', 'GA-2', 'F-1']);
+    });
+
+    it('should skip RFPs due too soon, or with no usable due date', function() {
+      assert.deepStrictEqual(ids({ min_days_until_due: 7 }), ['GA-1']);
+      assert.deepStrictEqual(ids({ min_days_until_due: 0 }), ['GA-1', 'GA-2']);
+    });
+
+    it('should require every criterion', function() {
+      assert.deepStrictEqual(ids({ keywords: ['paper'], jurisdictions: ['ga/counties'] }), ['F-1']);
+    });
+  });
+
+  describe('digests', function() {
+    const changes = {
+      added: [rfps[0]],
+      updated: [{ id: 'GA-2', title: 'Road Resurfacing', changes: [{ field: 'responses_due_at', from: 'x', to: 'y' }] }],
+      closed: [],
+      removed: []
+    };
+
+    it('should alert on new and updated RFPs', function() {
+      const candidates = alertCandidates('ga', rfps.slice(0, 2), changes);
+      assert.deepStrictEqual(candidates.map((c) => `${c.status} ${c.rfp.id} ${c.rfp.jurisdiction}`), ['new GA-1 ga', 'updated GA-2 ga']);
+    });
+
+    it('should render a digest per matching search', function() {
+      const candidates = alertCandidates('ga', rfps.slice(0, 2), changes);
+      const digests = buildDigests([{ name: 'Roads', keywords: ['road'] }, { name: 'Nothing', keywords: ['xyzzy'] }], candidates, { now });
+
+      assert.strictEqual(digests.length, 1);
+      assert.strictEqual(digests[0].subject, '[OpenRFPs] Roads: 1 new or updated RFP');
+      assert(digests[0].text.includes('UPDATED  Road Resurfacing'));
+      assert(digests[0].text.includes('Changed: responses_due_at'));
+      assert(digests[0].html.includes('<h1>Roads</h1>'));
+    });
+
+    it('should write digests to disk', async function() {
+      const digestDir = path.join(dir, 'digests');
+      const file = writeSearches(`searches:\n  - name: Office Supplies\n    keywords: [toner]\ndigests:\n  dir: ${digestDir}\n`);
+      const summary = await runAlerts(file, alertCandidates('ga', rfps, changes), { now });
+
+      assert.strictEqual(summary.sent, 0);
+      assert.deepStrictEqual(summary.digests[0].files.map((f) => path.basename(f)), [
+        '20240301T120000Z-office-supplies.html',
+        '20240301T120000Z-office-supplies.txt'
+      ]);
+      const html = fs.readFileSync(summary.digests[0].files[0], 'utf8');
+      assert(html.includes('<a href="http://example.com/1">Office Supplies</a>'));
+    });
+
+    it('should email digests over SMTP', async function() {
+      const received = [];
+      const server = await startSmtpServer(received);
+      const file = writeSearches([
+        'searches:',
+        '  - name: Office Supplies',
+        '    keywords: [toner]',
+        '    email: [sales@example.com]',
+        '  - name: Roads',
+        '    keywords: [road]',
+        `digests:\n  dir: ${path.join(dir, 'digests')}`,
+        `smtp:\n  host: 127.0.0.1\n  port: ${server.address().port}\n  ignoreTLS: true\n  from: openrfps@example.com`
+      ].join('\n'));
+
+      try {
+        const summary = await runAlerts(file, alertCandidates('ga', rfps, changes), { now });
+        assert.strictEqual(summary.sent, 1, 'only searches with an email address are sent');
+        assert.strictEqual(received.length, 1);
+        assert(received[0].includes('To: sales@example.com'));
+        assert(received[0].includes('Subject: [OpenRFPs] Office Supplies: 1 new or updated RFP'));
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const http = require('http');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const createApiServer = require('../../bin/utils/api_server');
+
+describe('api_server utility', function() {
+  let server;
+  let baseUrl;
+
+  const rfps = [];
+  for (let i = 1; i <= 30; i++) {
+    rfps.push({ jurisdiction: 'ga', global_id: `ga:GA-${i}`, id: `GA-${i}`, title: i % 2 ? 'Office Supplies' : 'Road Work' });
+  }
+  rfps.push({ jurisdiction: 'ga/counties/fulton', global_id: 'ga/counties/fulton:GA-1', id: 'GA-1', title: 'Office Chairs' });
+
+  const get = (urlPath, method = 'GET') => new Promise((resolve, reject) => {
+    const req = http.request(baseUrl + urlPath, { method }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  before(function(done) {
+    server = createApiServer({ load: () => rfps });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  it('should list RFPs with pagination', async function() {
+    const res = await get('/rfps');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.total, 31);
+    assert.strictEqual(res.body.per_page, 25);
+    assert.strictEqual(res.body.pages, 2);
+    assert.strictEqual(res.body.results.length, 25);
+
+    const page2 = await get('/rfps?page=2&per_page=10');
+    assert.strictEqual(page2.body.results.length, 10);
+    assert.strictEqual(page2.body.results[0].id, 'GA-11');
+  });
+
+  it('should cap per_page', async function() {
+    const res = await get('/rfps?per_page=1000');
+    assert.strictEqual(res.body.per_page, 100);
+  });
+
+  it('should apply filters', async function() {
+    const res = await get('/rfps?q=office&jurisdiction=ga%2Fcounties');
+    assert.deepStrictEqual(res.body.results.map((r) => r.title), ['Office Chairs']);
+  });
+
+  it('should reject bad parameters with a 400', async function() {
+    assert.strictEqual((await get('/rfps?page=0')).status, 400);
+    const res = await get('/rfps?due_before=whenever');
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.error, /due_before/);
+  });
+
+  it('should reject a malformed path with a 400, and keep serving', async function() {
+    const res = await get('/rfps/%E0%A4%A');
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.error, /Malformed path/);
+    assert.strictEqual((await get('/rfps/GA-2')).status, 200);
+  });
+
+  it('should look up a single RFP by id', async function() {
+    const res = await get('/rfps/GA-2');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.title, 'Road Work');
+  });
+
+  it('should ask for a jurisdiction when an id is ambiguous', async function() {
+    assert.strictEqual((await get('/rfps/GA-1')).status, 409);
+    const res = await get('/rfps/GA-1?jurisdiction=ga/counties/fulton');
+    assert.strictEqual(res.body.title, 'Office Chairs');
+  });
+
+  it('should look up a single RFP by global id', async function() {
+    const res = await get(`/rfps/${encodeURIComponent('ga/counties/fulton:GA-1')}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.title, 'Office Chairs');
+    assert.strictEqual((await get('/rfps/ga:GA-1')).body.title, 'Office Supplies');
+  });
+
+  it('should 404 on unknown RFPs and paths', async function() {
+    assert.strictEqual((await get('/rfps/nope')).status, 404);
+    assert.strictEqual((await get('/elsewhere')).status, 404);
+  });
+
+  it('should list jurisdictions', async function() {
+    const res = await get('/jurisdictions');
+    assert.deepStrictEqual(res.body, [{ jurisdiction: 'ga', rfps: 30 }, { jurisdiction: 'ga/counties/fulton', rfps: 1 }]);
+  });
+
+  it('should only accept GET requests', async function() {
+    assert.strictEqual((await get('/rfps', 'POST')).status, 405);
+  });
+});
@@ -0,0 +1,196 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const runAssertions = require('../../bin/utils/assertions');
+const { RULES, resolveRules, runRule, hasFailures, summarize, formatText, toJson, toJUnit } = require('../../bin/utils/assertions');
+
+const rule = (name) => RULES.find((r) => r.name === name);
+const result = (fields = {}) => Object.assign({ items: [], errors: [], warnings: [], stats: {} }, fields);
+
+describe('assertions utility', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-assertions-'));
+    fs.writeFileSync(path.join(dir, 'config.yml'), 'name: Testville\nindex_url: http://example.com/\ntimezone: America/New_York\n');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const ctxFor = (config = {}) => ({ result: result(), kind: 'rfps', config: config, dir: dir });
+
+  describe('built-in rules', function() {
+    it('should pass good RFPs', function() {
+      const items = [{ id: '1', title: 'Paper', contact_email: 'a@example.com', downloads: ['http://example.com/a.pdf'], nigp_codes: ['615'] }];
+      const outcomes = runAssertions(items, ctxFor());
+
+      assert.deepStrictEqual(outcomes.filter((o) => o.status !== 'passed'), []);
+      assert(outcomes.some((o) => o.name === 'title-present'));
+      assert(!outcomes.some((o) => o.name === 'vendor-name-present'), 'award rules should not run on RFPs');
+    });
+
+    it('should only apply award rules to awards', function() {
+      const outcomes = runAssertions([{ id: '1', vendor_name: 'Acme', amount: 'lots' }], Object.assign(ctxFor(), { kind: 'awards' }));
+      assert(!outcomes.some((o) => o.name === 'title-present'));
+      assert.strictEqual(outcomes.find((o) => o.name === 'amount-format').status, 'failed');
+    });
+
+    it('should allow failures within the threshold, and list the failing items', function() {
+      const items = Array.from({ length: 20 }, (_, i) => ({ id: String(i), contact_email: i === 0 ? 'nope' : '' }));
+      const outcome = runRule(rule('contact-email'), items, ctxFor());
+      assert.strictEqual(outcome.status, 'passed');
+      assert.strictEqual(outcome.message, '1 of 20 failing');
+
+      const strict = runRule(Object.assign({}, rule('contact-email'), { threshold: 1 }), items, ctxFor());
+      assert.strictEqual(strict.status, 'failed');
+      assert.deepStrictEqual(strict.details, ['Failing: 0']);
+    });
+
+    it('should skip item rules when there are no items', function() {
+      assert.strictEqual(runRule(rule('id-present'), [], ctxFor()).status, 'skipped');
+      assert.strictEqual(runRule(rule('has-results'), [], ctxFor()).status, 'failed');
+    });
+
+    it('should list duplicate ids, unknown NIGP codes and schema failures', function() {
+      const items = [{ id: '1', title: 'A', nigp_codes: ['99999'] }, { id: '1', title: 'B', contact_emial: 'x' }];
+      const outcomes = runAssertions(items, ctxFor());
+      const find = (name) => outcomes.find((o) => o.name === name);
+
+      assert.deepStrictEqual(find('unique-ids').details, ['Duplicated: 1']);
+      assert.strictEqual(find('nigp-known').message, '1 unknown');
+      assert.strictEqual(find('schema').message, '1 of 2 failing');
+      assert.match(find('schema').details[0], /contact_emial \(additionalProperties\)/);
+    });
+
+    it('should fail when the scraper reported errors', function() {
+      const ctx = Object.assign(ctxFor(), { result: result({ errors: [{ message: 'oops' }] }) });
+      const outcome = runRule(rule('no-errors'), [], ctx);
+      assert.strictEqual(outcome.status, 'failed');
+      assert.strictEqual(outcome.message, '1 error(s), 0 warning(s)');
+    });
+  });
+
+  describe('config.yml overrides', function() {
+    it('should turn rules off, change their severity or threshold', function() {
+      const { rules, problems } = resolveRules('rfps', {
+        assertions: { 'contact-email': 'off', 'download-urls': 'warning', 'nigp-known': { severity: 'warning', threshold: 0.5 }, 'title-present': false }
+      });
+
+      const find = (name) => rules.find((r) => r.name === name);
+      assert.deepStrictEqual(problems, []);
+      assert.strictEqual(find('contact-email').disabled, true);
+      assert.strictEqual(find('title-present').disabled, true);
+      assert.strictEqual(find('download-urls').severity, 'warning');
+      assert.strictEqual(find('nigp-known').threshold, 0.5);
+      assert.strictEqual(rule('download-urls').severity, undefined, 'should not change the built-in rules');
+    });
+
+    it('should report overrides for rules that do not exist', function() {
+      const outcomes = runAssertions([{ id: '1', title: 'A' }], ctxFor({ assertions: { 'contact-emails': 'off' } }));
+      const config = outcomes.find((o) => o.name === 'config-valid');
+      assert.strictEqual(config.status, 'failed');
+      assert.deepStrictEqual(config.details, ["assertions: there's no assertion called 'contact-emails'"]);
+    });
+
+    it('should not fail the test for warnings or skipped rules', function() {
+      const items = [{ id: '1', title: 'A', nigp_codes: ['99999'] }];
+      const outcomes = runAssertions(items, ctxFor({ assertions: { 'nigp-known': 'warning' } }));
+      assert.strictEqual(hasFailures(outcomes), false);
+      assert.strictEqual(summarize(outcomes).warnings, 1);
+
+      const off = runAssertions(items, ctxFor({ assertions: { 'nigp-known': 'off' } }));
+      assert.strictEqual(off.find((o) => o.name === 'nigp-known').status, 'skipped');
+      assert.strictEqual(hasFailures(off), false);
+      assert.strictEqual(hasFailures(runAssertions(items, ctxFor({ assertions: { 'nigp-known': 'error' } }))), true);
+    });
+
+    it('should only warn about NIGP codes missing from the table, but fail malformed ones', function() {
+      const unknown = runAssertions([{ id: '1', title: 'A', nigp_codes: ['99999'] }], ctxFor());
+      const known = unknown.find((o) => o.name === 'nigp-known');
+      assert.strictEqual(known.status, 'failed');
+      assert.strictEqual(known.severity, 'warning');
+      assert.strictEqual(hasFailures(unknown), false);
+
+      const malformed = runAssertions([{ id: '1', title: 'A', nigp_codes: ['6150', '615-20'] }], ctxFor());
+      assert.strictEqual(malformed.find((o) => o.name === 'nigp-digits').status, 'failed');
+      assert.strictEqual(hasFailures(malformed), true);
+      const ok = runAssertions([{ id: '1', title: 'A', nigp_codes: ['615', '61520', '6152012'] }], ctxFor());
+      assert.strictEqual(ok.find((o) => o.name === 'nigp-digits').status, 'passed');
+    });
+  });
+
+  describe('custom rules', function() {
+    it("should run the rules in the scraper directory's assertions.coffee", function() {
+      fs.writeFileSync(path.join(dir, 'assertions.coffee'), `
+module.exports = [
+  name: 'bid-numbers'
+  description: 'item.id looks like a bid number'
+  item: (item) -> /^B-\\d+$/.test(item.id)
+,
+  name: 'enough-results'
+  description: 'There are at least 2 results'
+  severity: 'warning'
+  check: (items) -> { ok: items.length >= 2, message: "#{items.length} result(s)" }
+]
+`);
+      const outcomes = runAssertions([{ id: 'B-1', title: 'A' }, { id: 'X', title: 'B' }], ctxFor());
+      const find = (name) => outcomes.find((o) => o.name === name);
+
+      assert.strictEqual(find('bid-numbers').status, 'failed');
+      assert.deepStrictEqual(find('bid-numbers').details, ['Failing: X']);
+      assert.strictEqual(find('enough-results').status, 'passed');
+      assert.strictEqual(find('enough-results').message, '2 result(s)');
+    });
+
+    it('should report rules that throw as failures', function() {
+      const outcome = runRule({ name: 'broken', description: 'Broken', check: () => { throw new Error('boom'); } }, [], ctxFor());
+      assert.strictEqual(outcome.status, 'failed');
+      assert.strictEqual(outcome.message, 'threw boom');
+    });
+  });
+
+  describe('reporters', function() {
+    const outcomes = [
+      { name: 'ok', description: 'Passes', severity: 'error', status: 'passed', message: null, details: [] },
+      { name: 'bad', description: 'Fails <badly>', severity: 'error', status: 'failed', message: '1 of 2 failing', details: ['Failing: 2'] },
+      { name: 'meh', description: 'Warns', severity: 'warning', status: 'failed', message: null, details: ['Failing: 3'] },
+      { name: 'off', description: 'Skips', severity: 'error', status: 'skipped', message: 'disabled in config.yml', details: [] }
+    ];
+
+    it('should format text', function() {
+      const lines = formatText(outcomes).map((line) => line.replace(/\u001b\[\d+m/g, ''));
+      assert.deepStrictEqual(lines, [
+        'Passes: OK',
+        'Fails <badly> (1 of 2 failing): Not OK',
+        '  Failing: 2',
+        'Warns: Warning',
+        '  Failing: 3',
+        'Skips (disabled in config.yml): Skipped'
+      ]);
+    });
+
+    it('should output JSON', function() {
+      const json = JSON.parse(toJson(outcomes, { jurisdiction: 'ga' }));
+      assert.strictEqual(json.jurisdiction, 'ga');
+      assert.strictEqual(json.ok, false);
+      assert.deepStrictEqual(json.summary, { passed: 1, failed: 1, warnings: 1, skipped: 1 });
+      assert.strictEqual(json.assertions.length, 4);
+    });
+
+    it('should output escaped JUnit XML', function() {
+      const xml = toJUnit(outcomes, { jurisdiction: 'ga', kind: 'rfps' });
+      assert.match(xml, /^<\?xml version="1.0"/);
+      assert.match(xml, /<testsuite name="ga" tests="4" failures="1" skipped="1">/);
+      assert.match(xml, /<testcase name="Fails &lt;badly&gt; \(1 of 2 failing\)" classname="ga.rfps.bad"><failure message="1 of 2 failing">Failing: 2<\/failure><\/testcase>/);
+      assert.match(xml, /classname="ga.rfps.meh"><system-out>Warning\nFailing: 3<\/system-out>/);
+      assert.match(xml, /<skipped message="disabled in config.yml"\/>/);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('underscore');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const loadCachedRfps = require('../../bin/utils/cached_rfps');
+const { queryRfps } = require('../../bin/utils/cached_rfps');
+
+describe('cached_rfps utility', function() {
+  let root;
+
+  const addCache = (dir, config, items) => {
+    const fullDir = path.join(root, dir);
+    fs.mkdirSync(fullDir, { recursive: true });
+    fs.writeFileSync(path.join(fullDir, 'config.yml'), config);
+    fs.writeFileSync(path.join(fullDir, 'rfps.coffee'), 'module.exports = (opts, done) -> done []\n');
+    if (items) {
+      fs.writeFileSync(path.join(fullDir, 'rfps.json'), JSON.stringify(items));
+    }
+  };
+
+  before(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-cached-'));
+    addCache('ga', 'name: Georgia\ntimezone: America/New_York\n', [
+      { id: 'GA-1', title: 'Office Supplies', description: 'Paper and toner', department_name: 'Department of Administrative Services', responses_due_at: '3/15/2024 2:00 PM', nigp_codes: ['61500'] },
+      { id: 'GA-2', title: 'Road Resurfacing', department_name: 'Department of Transportation', responses_due_at: '4/1/2024 2:00 PM', awarded: true, nigp_codes: ['74500'] },
+      { id: 'GA-3', title: 'Janitorial Services', department_name: 'Department of Corrections', canceled: true }
+    ]);
+    addCache('ga/counties/fulton', 'name: Fulton County\n', [
+      { id: 'GA-1', title: 'Office Chairs', department_name: 'Purchasing', responses_due_at: '2024-03-20' }
+    ]);
+    addCache('or', 'name: Oregon\n'); // never run, so no cache
+  });
+
+  after(function() {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('loadCachedRfps', function() {
+    it('should load every cached result, tagged with its jurisdiction and a global id', function() {
+      const rfps = loadCachedRfps({ root });
+      assert.deepStrictEqual(rfps.map((r) => r.jurisdiction), ['ga', 'ga', 'ga', 'ga/counties/fulton']);
+      assert.deepStrictEqual(rfps.map((r) => r.global_id), [
+        'ga:GA-1', 'ga:GA-2', 'ga:GA-3', 'ga/counties/fulton:GA-1'
+      ]);
+    });
+
+    it('should honor state and jurisdiction options', function() {
+      assert.strictEqual(loadCachedRfps({ root, jurisdiction: 'ga/counties' }).length, 1);
+      assert.strictEqual(loadCachedRfps({ root, state: 'or' }).length, 0);
+    });
+
+    it('should not add the parsed due date to the JSON', function() {
+      const rfp = loadCachedRfps({ root })[0];
+      assert(rfp._dueAt instanceof Date);
+      assert(!('_dueAt' in JSON.parse(JSON.stringify(rfp))));
+    });
+
+    it('should pick up changes to a cache file', function() {
+      const file = path.join(root, 'or', 'rfps.json');
+      fs.writeFileSync(file, JSON.stringify([{ id: 'OR-1', title: 'Bridge Inspection' }]));
+      assert.strictEqual(loadCachedRfps({ root, state: 'or' }).length, 1);
+      fs.unlinkSync(file);
+    });
+
+    it("should add the documents fetch-documents archived, and pick up changes to the archive", function() {
+      const file = path.join(root, 'or', 'rfps.json');
+      const archive = path.join(root, 'archive');
+      const doc = { url: 'http://example.com/specs.pdf', sha256: 'ab12', mime_type: 'application/pdf', size: 3, path: 'ab/ab12.pdf' };
+      fs.writeFileSync(file, JSON.stringify([{ id: 'OR-1', title: 'Bridge Inspection', downloads: [doc.url, 'http://example.com/new.pdf'] }]));
+      fs.mkdirSync(archive);
+
+      try {
+        fs.writeFileSync(path.join(archive, 'index.json'), JSON.stringify({ [doc.url]: doc }));
+        assert.deepStrictEqual(loadCachedRfps({ root, state: 'or', archive })[0].documents, [doc]);
+
+        const addendum = Object.assign({}, doc, { url: 'http://example.com/new.pdf', sha256: 'cd34' });
+        fs.writeFileSync(path.join(archive, 'index.json'), JSON.stringify({ [doc.url]: doc, [addendum.url]: addendum }));
+        fs.utimesSync(path.join(archive, 'index.json'), new Date(), new Date(Date.now() + 1000));
+        assert.deepStrictEqual(loadCachedRfps({ root, state: 'or', archive })[0].documents, [doc, addendum]);
+      } finally {
+        fs.unlinkSync(file);
+        fs.rmSync(archive, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('queryRfps', function() {
+    let rfps;
+    const ids = (filters) => queryRfps(rfps, filters).map((r) => `${r.jurisdiction}:${r.id}`);
+
+    before(function() {
+      rfps = loadCachedRfps({ root });
+    });
+
+    it('should return everything without filters', function() {
+      assert.strictEqual(queryRfps(rfps).length, 4);
+    });
+
+    it('should filter by jurisdiction, including sub-jurisdictions', function() {
+      assert.strictEqual(ids({ jurisdiction: 'ga' }).length, 4);
+      assert.deepStrictEqual(ids({ jurisdiction: 'ga/counties/fulton' }), ['ga/counties/fulton:GA-1']);
+      assert.deepStrictEqual(ids({ jurisdiction: 'g' }), []);
+    });
+
+    it('should filter by department name and NIGP code', function() {
+      assert.deepStrictEqual(ids({ department_name: 'transportation' }), ['ga:GA-2']);
+      assert.deepStrictEqual(ids({ nigp: '61500' }), ['ga:GA-1']);
+      assert.deepStrictEqual(ids({ nigp: '745' }), ['ga:GA-2'], 'a class matches its items');
+    });
+
+    it('should filter by due date range', function() {
+      assert.deepStrictEqual(ids({ due_after: '2024-03-16', due_before: '2024-03-31' }), ['ga/counties/fulton:GA-1']);
+      assert.deepStrictEqual(ids({ due_before: '2024-03-15T19:00:00Z' }), ['ga:GA-1']);
+    });
+
+    it('should filter by awarded and canceled', function() {
+      assert.deepStrictEqual(ids({ awarded: 'true' }), ['ga:GA-2']);
+      assert.deepStrictEqual(ids({ canceled: 'false', awarded: 'false' }), ['ga:GA-1', 'ga/counties/fulton:GA-1']);
+    });
+
+    it('should search title and description for every word', function() {
+      assert.deepStrictEqual(ids({ q: 'office TONER' }), ['ga:GA-1']);
+      assert.deepStrictEqual(ids({ q: 'office' }), ['ga:GA-1', 'ga/counties/fulton:GA-1']);
+    });
+
+    it('should reject malformed filters', function() {
+      assert.throws(() => queryRfps(rfps, { due_after: 'someday' }), /due_after must be a date/);
+      assert.throws(() => queryRfps(rfps, { awarded: 'maybe' }), /Expected true or false/);
+    });
+  });
+});
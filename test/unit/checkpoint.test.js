@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const openCheckpoint = require('../../bin/utils/checkpoint');
+const { Checkpoint, readCheckpoint, checkpointFileFor } = openCheckpoint;
+
+describe('checkpoint utility', function() {
+  let dir;
+  let file;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-checkpoint-'));
+    file = path.join(dir, 'rfps.checkpoint.ndjson');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep checkpoints next to the other cached state', function() {
+    assert.strictEqual(checkpointFileFor('scrapers/states/ga/rfps.coffee'), path.join('scrapers/states/ga/.cache', 'rfps.checkpoint.ndjson'));
+  });
+
+  it('should append each new item to the file as one line of JSON', function() {
+    const checkpoint = new Checkpoint(file);
+    checkpoint.append({ id: '1', title: 'First' });
+    checkpoint.append({ id: '2', title: 'Second' });
+    checkpoint.append({ id: '1', title: 'First again' });
+    checkpoint.append({ title: 'No id' });
+
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '{"id":"1","title":"First"}\n{"id":"2","title":"Second"}\n');
+    assert.strictEqual(checkpoint.size(), 2);
+    assert(checkpoint.has('2'));
+  });
+
+  it('should hand out copies of its items', function() {
+    const checkpoint = new Checkpoint(null, [{ id: '1', downloads: [] }]);
+    checkpoint.get('1').downloads.push('http://example.com/a.pdf');
+    assert.deepStrictEqual(checkpoint.get('1'), { id: '1', downloads: [] });
+    assert.strictEqual(checkpoint.get('2'), null);
+  });
+
+  it('should skip a half-written last line', function() {
+    fs.writeFileSync(file, '{"id":"1"}\n{"id":"2"}\n{"id":"3","ti');
+    assert.deepStrictEqual(readCheckpoint(file), [{ id: '1' }, { id: '2' }]);
+    assert.deepStrictEqual(readCheckpoint(path.join(dir, 'missing.ndjson')), []);
+  });
+
+  it('should delete its file when cleared', function() {
+    const checkpoint = new Checkpoint(file);
+    checkpoint.append({ id: '1' });
+    checkpoint.clear();
+    assert(!fs.existsSync(file));
+    assert.strictEqual(checkpoint.size(), 0);
+  });
+
+  describe('openCheckpoint()', function() {
+    const scraperPath = () => path.join(dir, 'rfps.coffee');
+
+    it('should load the items a failed run left behind when resuming', function() {
+      openCheckpoint(scraperPath()).append({ id: '1' });
+      const checkpoint = openCheckpoint(scraperPath(), { resume: true });
+      assert.deepStrictEqual(checkpoint.get('1'), { id: '1' });
+    });
+
+    it('should throw away a stale checkpoint when starting over', function() {
+      openCheckpoint(scraperPath()).append({ id: '1' });
+      const checkpoint = openCheckpoint(scraperPath());
+      assert.strictEqual(checkpoint.size(), 0);
+      assert(!fs.existsSync(checkpointFileFor(scraperPath())));
+    });
+
+    it('should only keep items in memory without persist', function() {
+      const checkpoint = openCheckpoint(scraperPath(), { persist: false });
+      checkpoint.append({ id: '1' });
+      assert.strictEqual(checkpoint.size(), 1);
+      assert(!fs.existsSync(checkpointFileFor(scraperPath())));
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const { parseCron, nextRun } = require('../../bin/utils/cron');
+
+describe('cron utility', function() {
+  const next = (expr, after, timezone = 'UTC') => new Date(nextRun(expr, Date.parse(after), timezone)).toISOString();
+
+  it('should find the next minute that matches', function() {
+    assert.strictEqual(next('*/15 * * * *', '2024-03-08T12:07:30Z'), '2024-03-08T12:15:00.000Z');
+    assert.strictEqual(next('0 6 * * *', '2024-03-08T06:00:00Z'), '2024-03-09T06:00:00.000Z', 'should not match the minute it starts in');
+    assert.strictEqual(next('0 0 1 jan *', '2024-03-08T12:00:00Z'), '2025-01-01T00:00:00.000Z');
+  });
+
+  it('should support lists, ranges and steps', function() {
+    const cron = parseCron('5,35 8-18/2 * * *');
+    assert.deepStrictEqual(Object.keys(cron.minutes).map(Number), [5, 35]);
+    assert.deepStrictEqual(Object.keys(cron.hours).map(Number), [8, 10, 12, 14, 16, 18]);
+    assert.deepStrictEqual(Object.keys(parseCron('10/20 * * * *').minutes).map(Number), [10, 30, 50]);
+  });
+
+  it("should match in the jurisdiction's timezone", function() {
+    // A Friday afternoon in New York; the next weekday at 6am is Monday, after the switch to daylight saving time.
+    assert.strictEqual(next('0 6 * * mon-fri', '2024-03-08T17:00:00Z', 'America/New_York'), '2024-03-11T10:00:00.000Z');
+    assert.strictEqual(next('0 6 * * mon-fri', '2024-03-08T17:00:00Z', 'America/Los_Angeles'), '2024-03-11T13:00:00.000Z');
+  });
+
+  it('should treat 0 and 7 as Sunday, and match either day field when both are restricted', function() {
+    assert.strictEqual(next('0 0 * * 7', '2024-03-08T12:00:00Z'), '2024-03-10T00:00:00.000Z');
+    assert.strictEqual(next('0 0 20 * sun', '2024-03-11T12:00:00Z'), '2024-03-17T00:00:00.000Z');
+    assert.strictEqual(next('0 0 20 * *', '2024-03-11T12:00:00Z'), '2024-03-20T00:00:00.000Z');
+    assert.strictEqual(next('0 0 * * sun', '2024-03-11T12:00:00Z'), '2024-03-17T00:00:00.000Z');
+  });
+
+  it('should return null for an expression that never matches', function() {
+    assert.strictEqual(nextRun('0 0 30 2 *', Date.parse('2024-03-08T12:00:00Z'), 'UTC'), null);
+  });
+
+  it('should say what is wrong with an invalid expression', function() {
+    assert.throws(() => parseCron('daily'), /'daily' should have five fields/);
+    assert.throws(() => parseCron('0 25 * * *'), /'25' isn't a valid hour/);
+    assert.throws(() => parseCron('0 0 * foo *'), /'foo' isn't a valid month/);
+    assert.throws(() => parseCron('5-1 * * * *'), /'5-1' is backwards/);
+    assert.throws(() => parseCron('*/0 * * * *'), /invalid step/);
+  });
+});
@@ -0,0 +1,254 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const cheerio = require('cheerio');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const declarativeScraper = require('../../bin/utils/declarative_scraper');
+const { checkDefinition, readFields, loadDeclarativeScraper } = declarativeScraper;
+const createLogger = require('../../bin/utils/logger');
+const validateSchema = require('../../bin/utils/validate_schema');
+
+describe('declarative_scraper utility', function() {
+  let server;
+  let baseUrl;
+  let requests = [];
+
+  // Two pages of bids, linked by a Next link (GET) or a page parameter (POST).
+  const PAGES = [
+    [['B-1', 'Road Salt'], ['B-2', 'Office Paper']],
+    [['B-3', 'Fleet Tires'], ['B-1', 'Road Salt']]
+  ];
+
+  const listingPage = (rows, next) => `<html><body>
+    <table class="bids">
+      <tr><th>Number</th><th>Title</th></tr>
+      ${rows.map(([id, title]) => `<tr><td><a href="bid?id=${id}">${id}</a></td><td>${title}</td></tr>`).join('')}
+    </table>
+    ${next ? `<a href="${next}">Next &raquo;</a>` : ''}
+  </body></html>`;
+
+  const detailPage = (id) => `<html><body>
+    <table>
+      <tr><td>Agency:</td><td></td><td>Department of Transportation</td></tr>
+      <tr><td>Contact Email</td><td>buyer@example.com</td></tr>
+      <tr><td>Due Date</td><td>3/15/2024 2:00 PM</td></tr>
+      <tr><td>NIGP Codes</td><td>910-39 Air Conditioning, 910-40 Heating</td></tr>
+    </table>
+    <h2>Documents</h2>
+    <table><tr><td><a href="/docs/${id}.pdf">Specs</a></td><td><a href="http://example.com/${id}-addendum.pdf">Addendum</a></td></tr></table>
+  </body></html>`;
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, path: url.pathname, query: url.search, body });
+        if (!['/bids', '/search', '/bid'].includes(url.pathname)) {
+          res.writeHead(404);
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+
+        if (url.pathname === '/bids') {
+          const page = parseInt(url.searchParams.get('page') || '1', 10);
+          return res.end(listingPage(PAGES[page - 1] || [], page < PAGES.length ? `/bids?page=${page + 1}` : null));
+        }
+        if (url.pathname === '/search') {
+          const form = new URLSearchParams(body);
+          if (form.get('status') !== 'open') return res.end(listingPage([]));
+          return res.end(listingPage(PAGES[parseInt(form.get('pg'), 10)] || []));
+        }
+        res.end(detailPage(url.searchParams.get('id')));
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requests = [];
+  });
+
+  const definition = (extra = {}) => Object.assign({
+    index: { url: `${baseUrl}/bids` },
+    list: {
+      rows: 'table.bids tr',
+      fields: { id: 'td:nth-child(1)', title: 'td:nth-child(2)' }
+    },
+    pagination: { next: 'a:contains(Next)' },
+    detail: {
+      fields: {
+        department_name: { label: 'Agency' },
+        contact_email: { label: 'Contact Email' },
+        responses_due_at: { label: 'Due Date' },
+        nigp_codes: { label: 'NIGP Codes', match: '\\d{3}-?\\d{2}', remove: '-', all: true },
+        downloads: { selector: 'h2:contains(Documents) + table a', attr: 'href', all: true }
+      }
+    },
+    defaults: { prebid_conferences: [] }
+  }, extra);
+
+  const scrape = (def, opts = {}) => declarativeScraper(def)(Object.assign({
+    delay: 0,
+    retries: 0,
+    log: createLogger('test', { silent: true })
+  }, opts));
+
+  it('should follow the listing across pages, returning each item once', async function() {
+    const result = await scrape(definition());
+    assert.deepStrictEqual(result.items.map((i) => [i.id, i.title]), [['B-1', 'Road Salt'], ['B-2', 'Office Paper'], ['B-3', 'Fleet Tires']]);
+    assert.strictEqual(result.items[0].html_url, `${baseUrl}/bid?id=B-1`);
+  });
+
+  it('should read fields from each detail page, by label or selector', async function() {
+    const result = await scrape(definition());
+    const item = result.items[0];
+
+    assert.strictEqual(item.department_name, 'Department of Transportation');
+    assert.strictEqual(item.contact_email, 'buyer@example.com');
+    assert.strictEqual(item.responses_due_at, '3/15/2024 2:00 PM');
+    assert.deepStrictEqual(item.nigp_codes, ['91039', '91040']);
+    assert.deepStrictEqual(item.downloads, [`${baseUrl}/docs/B-1.pdf`, 'http://example.com/B-1-addendum.pdf']);
+    assert.deepStrictEqual(item.prebid_conferences, []);
+    assert.deepStrictEqual(validateSchema(result.items).rules, []);
+  });
+
+  it('should POST a form, with the page number as a parameter', async function() {
+    const result = await scrape(definition({
+      index: { url: `${baseUrl}/search`, method: 'post', form: { status: 'open' } },
+      pagination: { param: 'pg', start: 0 },
+      detail: undefined
+    }));
+
+    assert.deepStrictEqual(result.items.map((i) => i.id), ['B-1', 'B-2', 'B-3']);
+    assert.deepStrictEqual(requests.map((r) => r.body), ['status=open&pg=0', 'status=open&pg=1', 'status=open&pg=2']);
+  });
+
+  it('should stop at max_pages and at the limit', async function() {
+    let result = await scrape(definition({ pagination: { next: 'a:contains(Next)', max_pages: 1 }, detail: undefined }));
+    assert.deepStrictEqual(result.items.map((i) => i.id), ['B-1', 'B-2']);
+
+    requests = [];
+    result = await scrape(definition(), { limit: 1 });
+    assert.deepStrictEqual(result.items.map((i) => i.id), ['B-1']);
+    assert.deepStrictEqual(requests.map((r) => r.path), ['/bids', '/bid']);
+  });
+
+  it("should use config.yml's index_url, and fail without one", async function() {
+    const def = definition({ index: undefined, detail: undefined });
+    const result = await scrape(def, { config: { index_url: `${baseUrl}/bids` } });
+    assert.strictEqual(result.items.length, 3);
+
+    const failed = await scrape(def);
+    assert.strictEqual(failed.errors[0].fatal, true);
+    assert.match(failed.errors[0].message, /There's no index URL/);
+  });
+
+  it('should report a detail page that fails, and carry on', async function() {
+    const def = definition({ list: { rows: 'table.bids tr', link: 'a.missing', fields: { id: 'td:nth-child(1)', title: 'td:nth-child(2)', html_url: { value: `${baseUrl}/nowhere` } } } });
+    const result = await scrape(def);
+    assert.strictEqual(result.items.length, 3);
+    assert.strictEqual(result.errors.length, 3);
+    assert.strictEqual(result.errors[0].status, 404);
+  });
+
+  describe('readFields()', function() {
+    const $ = cheerio.load(`<dl><dt>Buyer:</dt><dd> Jane   Doe </dd></dl>
+      <div id="row" data-id="42"><span class="title">Snow Removal</span></div>`);
+
+    it('should read text, attributes, labels and fixed values, leaving out what is missing', function() {
+      assert.deepStrictEqual(readFields($, $.root(), {
+        contact_name: { label: 'buyer' },
+        id: { selector: '#row', attr: 'data-id' },
+        title: '#row .title',
+        department_name: '.missing',
+        awarded: { value: false }
+      }, 'http://example.com/'), { contact_name: 'Jane Doe', id: '42', title: 'Snow Removal', awarded: false });
+    });
+
+    it('should read a field from the element itself without a selector', function() {
+      assert.deepStrictEqual(readFields($, $('#row'), { id: { attr: 'data-id' }, title: { match: 'Snow (\\w+)' } }), { id: '42', title: 'Removal' });
+    });
+  });
+
+  describe('checkDefinition()', function() {
+    it('should accept a valid definition', function() {
+      assert.deepStrictEqual(checkDefinition(definition()), []);
+    });
+
+    it('should report what is wrong with an invalid one', function() {
+      assert.deepStrictEqual(checkDefinition({
+        index: { url: 'example.com', method: 'put' },
+        list: { fields: { id: { selecter: 'td' }, title: { match: '(' } } },
+        pagination: { max_pages: 5 }
+      }), [
+        'index.method: must be equal to one of the allowed values',
+        'index.url: must match pattern "^https?://"',
+        'list.fields.id: must be string',
+        'list.fields.id: must match exactly one schema in oneOf',
+        'list.fields.id.selecter: must NOT have additional properties',
+        "list.rows: must have required property 'rows'",
+        'pagination: needs either next or param',
+        'match: Invalid regular expression: /(/: Unterminated group'
+      ]);
+    });
+
+    it('should refuse to build a scraper from an invalid definition', function() {
+      assert.throws(() => declarativeScraper({ list: {} }, 'rfps.yml'), /rfps.yml isn't valid: list.rows: must have required property 'rows'/);
+    });
+  });
+
+  describe('YAML scrapers', function() {
+    const ymlPath = 'test/fixtures/test_declarative_scraper.yml';
+    const jsonPath = 'test/fixtures/test_declarative_scraper.json';
+
+    before(function() {
+      fs.mkdirSync('test/fixtures', { recursive: true });
+      fs.writeFileSync(ymlPath, [
+        'index:',
+        `  url: ${baseUrl}/bids`,
+        'list:',
+        '  rows: table.bids tr',
+        '  fields:',
+        '    id: td:nth-child(1)',
+        '    title: td:nth-child(2)'
+      ].join('\n') + '\n');
+    });
+
+    after(function() {
+      [ymlPath, jsonPath].forEach((file) => fs.rmSync(file, { force: true }));
+      fs.rmSync('test/fixtures/.cache', { recursive: true, force: true });
+    });
+
+    it('should load a scraper from a YAML file', async function() {
+      const result = await loadDeclarativeScraper(ymlPath)({ delay: 0, log: createLogger('test', { silent: true }) });
+      assert.deepStrictEqual(result.items.map((i) => i.id), ['B-1', 'B-2']);
+    });
+
+    it('should run through run_scraper like any other scraper', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const originalError = console.error;
+      console.error = () => {};
+
+      runScraper({ args: [ymlPath], force: true, delay: 0 }, (items, result) => {
+        console.error = originalError;
+        assert.strictEqual(result.kind, 'rfps');
+        assert.deepStrictEqual(items.map((i) => i.id), ['B-1', 'B-2']);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(jsonPath)).map((i) => i.id), ['B-1', 'B-2']);
+        done();
+      });
+    });
+  });
+});
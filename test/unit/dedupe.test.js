@@ -0,0 +1,92 @@
+const assert = require('assert');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const dedupeRfps = require('../../bin/utils/dedupe');
+const { globalId, parseGlobalId, similarity } = require('../../bin/utils/dedupe');
+
+describe('dedupe utility', function() {
+  describe('global ids', function() {
+    it('should namespace ids by jurisdiction, and split them back up', function() {
+      assert.strictEqual(globalId('ga/counties/fulton', '24-001'), 'ga/counties/fulton:24-001');
+      assert.deepStrictEqual(parseGlobalId('ga/counties/fulton:24:001'), { jurisdiction: 'ga/counties/fulton', id: '24:001' });
+      assert.strictEqual(parseGlobalId('24-001'), null);
+    });
+  });
+
+  describe('similarity', function() {
+    const state = { title: 'Office Supplies and Toner', department_name: 'Department of Administrative Services', responses_due_at: '3/15/2024 2:00 PM' };
+
+    it('should score near-identical solicitations highly', function() {
+      const county = { title: 'OFFICE SUPPLIES & TONERS', department_name: 'Administrative Services', responses_due_at: 'March 15, 2024' };
+      assert(similarity(state, county) >= 0.75, `expected a high score, got ${similarity(state, county)}`);
+    });
+
+    it('should score different solicitations low', function() {
+      const other = { title: 'Road Resurfacing', department_name: 'Department of Transportation', responses_due_at: '3/15/2024' };
+      assert(similarity(state, other) < 0.5);
+    });
+
+    it('should not match solicitations due on different days', function() {
+      assert.strictEqual(similarity(state, Object.assign({}, state, { responses_due_at: '4/15/2024' })), 0);
+    });
+
+    it('should match anything that shares a document', function() {
+      const doc = { url: 'http://example.com/a.pdf', sha256: 'a'.repeat(64) };
+      const a = { title: 'Toner', documents: [doc], responses_due_at: '3/15/2024' };
+      const b = { title: 'Solicitation 24-001', documents: [Object.assign({}, doc, { url: 'http://county.example.com/a.pdf' })], responses_due_at: '5/1/2024' };
+      assert.strictEqual(similarity(a, b), 1);
+    });
+  });
+
+  describe('dedupeRfps', function() {
+    const rfps = [
+      { jurisdiction: 'ga', id: 'GA-1', title: 'Office Supplies and Toner', department_name: 'Administrative Services', responses_due_at: '3/15/2024', html_url: 'http://ga.example.com/1', nigp_codes: ['61500'] },
+      { jurisdiction: 'ga/counties/fulton', id: '24-001', title: 'Office supplies & toner', responses_due_at: '2024-03-15', contact_email: 'buyer@fulton.example.com', nigp_codes: ['62000'], downloads: ['http://fulton.example.com/24-001.pdf'] },
+      { jurisdiction: 'ga', id: 'GA-2', title: 'Office Supplies and Toner', department_name: 'Administrative Services', responses_due_at: '3/15/2024' },
+      { jurisdiction: 'ga/cities/atlanta', id: 'ATL-9', title: 'Road Resurfacing', responses_due_at: '3/15/2024' }
+    ];
+
+    it('should cluster duplicates across jurisdictions only', function() {
+      const clusters = dedupeRfps(rfps);
+
+      // GA-1 and GA-2 come from the same scraper, so they're different solicitations,
+      // even though the Fulton County RFP looks like both. It goes with the first.
+      assert.deepStrictEqual(clusters.map((c) => c.sources.map((s) => s.global_id)), [
+        ['ga:GA-1', 'ga/counties/fulton:24-001'],
+        ['ga/cities/atlanta:ATL-9'],
+        ['ga:GA-2']
+      ]);
+    });
+
+    it('should build a canonical record from the most complete source, filling in the rest', function() {
+      const cluster = dedupeRfps(rfps.slice(0, 2))[0];
+
+      assert.strictEqual(cluster.id, 'ga:GA-1');
+      assert.strictEqual(cluster.canonical.global_id, 'ga:GA-1');
+      assert.strictEqual(cluster.canonical.title, 'Office Supplies and Toner');
+      assert.strictEqual(cluster.canonical.contact_email, 'buyer@fulton.example.com');
+      assert.deepStrictEqual(cluster.canonical.nigp_codes, ['61500', '62000']);
+      assert.deepStrictEqual(cluster.canonical.downloads, ['http://fulton.example.com/24-001.pdf']);
+    });
+
+    it('should link to every source, with its score against the canonical record', function() {
+      const cluster = dedupeRfps(rfps.slice(0, 2))[0];
+      assert.deepStrictEqual(cluster.sources[0], { global_id: 'ga:GA-1', jurisdiction: 'ga', id: 'GA-1', html_url: 'http://ga.example.com/1', score: 1 });
+      assert.strictEqual(cluster.sources[1].html_url, null);
+      assert(cluster.sources[1].score >= 0.75 && cluster.sources[1].score < 1);
+    });
+
+    it('should respect the threshold', function() {
+      assert.strictEqual(dedupeRfps(rfps.slice(0, 2), { threshold: 1 }).length, 2);
+    });
+
+    it('should keep global ids that are already there, and not modify the input', function() {
+      const input = [{ jurisdiction: 'ga', global_id: 'ga:GA-1', id: 'GA-1', title: 'Toner' }, { jurisdiction: 'or', id: 'OR-1', title: 'Toner' }];
+      const clusters = dedupeRfps(input);
+      assert.strictEqual(clusters.length, 1);
+      assert.strictEqual(input[1].global_id, undefined);
+    });
+  });
+});
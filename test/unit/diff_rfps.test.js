@@ -0,0 +1,91 @@
+const assert = require('assert');
+const _ = require('underscore');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const diffRfps = require('../../bin/utils/diff_rfps');
+const { hasChanges, formatChanges } = diffRfps;
+
+describe('diff_rfps utility', function() {
+  const previous = [
+    { id: '1', title: 'Unchanged', downloads: ['http://example.com/a.pdf'] },
+    {
+      id: '2',
+      title: 'Deadline moves',
+      responses_due_at: '3/15/2024 2:00 PM',
+      contact_email: 'old@example.com',
+      downloads: ['http://example.com/rfp.pdf']
+    },
+    { id: '3', title: 'Gets awarded', awarded: false },
+    { id: '4', title: 'Disappears' }
+  ];
+
+  const current = [
+    { id: '1', title: 'Unchanged', downloads: ['http://example.com/a.pdf'] },
+    {
+      id: '2',
+      title: 'Deadline moves',
+      responses_due_at: '3/22/2024 2:00 PM',
+      contact_email: 'new@example.com',
+      downloads: ['http://example.com/rfp.pdf', 'http://example.com/addendum1.pdf']
+    },
+    { id: '3', title: 'Gets awarded', awarded: true },
+    { id: '5', title: 'Brand new', responses_due_at: '4/1/2024' }
+  ];
+
+  const changeset = diffRfps(previous, current);
+
+  it('should summarize the changes', function() {
+    assert.deepStrictEqual(changeset.summary, { added: 1, removed: 1, updated: 1, closed: 1, unchanged: 1 });
+    assert.strictEqual(hasChanges(changeset), true);
+  });
+
+  it('should report new and removed RFPs', function() {
+    assert.deepStrictEqual(_.pluck(changeset.added, 'id'), ['5']);
+    assert.deepStrictEqual(_.pluck(changeset.removed, 'id'), ['4']);
+  });
+
+  it('should report field-level changes', function() {
+    const updated = changeset.updated[0];
+    assert.strictEqual(updated.id, '2');
+    assert.deepStrictEqual(_.findWhere(updated.changes, { field: 'responses_due_at' }), {
+      field: 'responses_due_at', from: '3/15/2024 2:00 PM', to: '3/22/2024 2:00 PM'
+    });
+    assert.deepStrictEqual(_.findWhere(updated.changes, { field: 'contact_email' }), {
+      field: 'contact_email', from: 'old@example.com', to: 'new@example.com'
+    });
+  });
+
+  it('should report added downloads', function() {
+    const downloads = _.findWhere(changeset.updated[0].changes, { field: 'downloads' });
+    assert.deepStrictEqual(downloads.added, ['http://example.com/addendum1.pdf']);
+    assert.deepStrictEqual(downloads.removed, []);
+  });
+
+  it('should report awarded RFPs as closed', function() {
+    assert.strictEqual(changeset.closed[0].id, '3');
+    assert.strictEqual(changeset.closed[0].reason, 'awarded');
+  });
+
+  it('should treat everything as new when there is no previous snapshot', function() {
+    const firstRun = diffRfps(undefined, current);
+    assert.strictEqual(firstRun.summary.added, current.length);
+  });
+
+  it('should report no changes for identical scrapes', function() {
+    assert.strictEqual(hasChanges(diffRfps(previous, previous)), false);
+  });
+
+  it('should ignore documents, which scrapers never set', function() {
+    const archived = previous.map((rfp) => Object.assign({ documents: [{ url: 'http://example.com/a.pdf', sha256: 'ab12' }] }, rfp));
+    assert.strictEqual(hasChanges(diffRfps(archived, previous)), false);
+  });
+
+  it('should format a readable summary', function() {
+    const text = formatChanges(changeset).join('\n');
+    assert(text.includes('1 new, 1 updated, 1 closed, 1 removed (1 unchanged)'));
+    assert(text.includes('responses_due_at: "3/15/2024 2:00 PM" -> "3/22/2024 2:00 PM"'));
+    assert(text.includes('downloads: + http://example.com/addendum1.pdf'));
+  });
+});
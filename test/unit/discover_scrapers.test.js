@@ -0,0 +1,179 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('underscore');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const discoverScrapers = require('../../bin/utils/discover_scrapers');
+
+describe('discover_scrapers utility', function() {
+  let root;
+
+  const addScraper = (dir, name, file) => {
+    const fullDir = path.join(root, dir);
+    fs.mkdirSync(fullDir, { recursive: true });
+    fs.writeFileSync(path.join(fullDir, 'config.yml'), `name: ${name}\n`);
+    if (file) {
+      fs.writeFileSync(path.join(fullDir, file), 'module.exports = (opts, done) -> done []\n');
+    }
+  };
+
+  before(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-discover-'));
+    addScraper('ga', 'Georgia', 'rfps.coffee');
+    addScraper('ga/cities/atlanta', 'Atlanta', 'rfps.js');
+    addScraper('ga/counties/fulton', 'Fulton County', 'rfps.coffee');
+    addScraper('or', 'Oregon', 'rfps.coffee');
+    addScraper('tx', 'Texas'); // config.yml only, no scraper yet
+  });
+
+  after(function() {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should find every jurisdiction with a scraper', function() {
+    const scrapers = discoverScrapers({ root });
+    assert.deepStrictEqual(_.pluck(scrapers, 'jurisdiction'), [
+      'ga', 'ga/cities/atlanta', 'ga/counties/fulton', 'or'
+    ]);
+  });
+
+  it('should read each config.yml', function() {
+    const atlanta = _.findWhere(discoverScrapers({ root }), { jurisdiction: 'ga/cities/atlanta' });
+    assert.strictEqual(atlanta.state, 'ga');
+    assert.strictEqual(atlanta.config.name, 'Atlanta');
+    assert(atlanta.path.endsWith(path.join('ga', 'cities', 'atlanta', 'rfps.js')));
+  });
+
+  it('should filter by state', function() {
+    const scrapers = discoverScrapers({ root, state: 'GA' });
+    assert.deepStrictEqual(_.pluck(scrapers, 'jurisdiction'), [
+      'ga', 'ga/cities/atlanta', 'ga/counties/fulton'
+    ]);
+  });
+
+  it('should filter by jurisdiction prefix', function() {
+    const scrapers = discoverScrapers({ root, jurisdiction: 'ga/counties' });
+    assert.deepStrictEqual(_.pluck(scrapers, 'jurisdiction'), ['ga/counties/fulton']);
+  });
+
+  it('should find the bundled Georgia scraper by default', function() {
+    const ga = _.findWhere(discoverScrapers(), { jurisdiction: 'ga' });
+    assert.strictEqual(ga.path, path.join('scrapers', 'states', 'ga', 'rfps.coffee'));
+    assert.strictEqual(ga.config.name, 'Georgia');
+  });
+
+  describe('checkConfig', function() {
+    const { checkConfig } = discoverScrapers;
+    const valid = { name: 'Fulton County', index_url: 'https://example.com/bids', timezone: 'America/New_York' };
+
+    it('should accept the bundled Georgia config', function() {
+      assert.deepStrictEqual(checkConfig('scrapers/states/ga'), []);
+    });
+
+    it('should accept a minimal config, and a complete one', function() {
+      assert.deepStrictEqual(checkConfig(path.join(root, 'ga/counties/fulton'), { root, config: valid }), []);
+      assert.deepStrictEqual(checkConfig(path.join(root, 'ga/counties/fulton'), {
+        root,
+        config: Object.assign({
+          type: 'county',
+          state: 'ga',
+          fips: '13121',
+          urls: { bids: 'https://example.com/bids/search' },
+          maintainers: [{ name: 'Jane Doe', github: 'janedoe' }],
+          schedule: '0 6 * * 1-5',
+          politeness: { concurrency: 2, delay: 1000, retries: 3, timeout: 10000 },
+          options: { status: ['open', 'awarded'] },
+          assertions: { 'contact-email': 'off', 'download-urls': 'warning', 'nigp-known': { severity: 'warning', threshold: 0.8 } },
+          outputs: ['rfps']
+        }, valid)
+      }), []);
+    });
+
+    it('should report schema violations', function() {
+      const problems = checkConfig(path.join(root, 'or'), {
+        root,
+        config: { name: 'Oregon', index_url: 'example.com', maintainer: 'me', schedule: 'daily', politeness: { concurrency: 0 } }
+      });
+      assert.deepStrictEqual(problems, [
+        'index_url: must match pattern "^https?://"',
+        'maintainer: must NOT have additional properties',
+        'politeness.concurrency: must be >= 1',
+        'schedule: must match pattern "^\\s*\\S+(\\s+\\S+){4}\\s*$"',
+        "timezone: must have required property 'timezone'"
+      ]);
+    });
+
+    it('should check the config against where it is', function() {
+      const problems = checkConfig(path.join(root, 'ga/cities/atlanta'), {
+        root,
+        config: Object.assign({}, valid, { type: 'county', state: 'tx', fips: '13', timezone: 'Eastern', schedule: '0 25 * * *', outputs: ['awards'] })
+      });
+      assert.deepStrictEqual(problems, [
+        "schedule: '25' isn't a valid hour in '0 25 * * *'",
+        "timezone: 'Eastern' isn't an IANA timezone, e.g. America/New_York",
+        `type: is 'county', but ${path.join(root, 'ga/cities/atlanta')} is where a city's scrapers go`,
+        `state: is 'tx', but ${path.join(root, 'ga/cities/atlanta')} is in 'ga'`,
+        "fips: a county's FIPS code has 5 digits",
+        "outputs: lists awards, but there's no awards.coffee, awards.js or awards.yml",
+        "outputs: doesn't list rfps, but there's a scraper for rfps"
+      ]);
+    });
+
+    it('should report a missing config.yml', function() {
+      assert.deepStrictEqual(checkConfig(path.join(root, 'nowhere'), { root }), [`There's no config.yml in ${path.join(root, 'nowhere')}`]);
+    });
+  });
+
+  describe('awards scrapers', function() {
+    let awardsRoot;
+
+    before(function() {
+      awardsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-discover-awards-'));
+      for (const [dir, files] of [['ga', ['rfps.coffee', 'awards.coffee']], ['or', ['awards.js']]]) {
+        fs.mkdirSync(path.join(awardsRoot, dir), { recursive: true });
+        fs.writeFileSync(path.join(awardsRoot, dir, 'config.yml'), `name: ${dir}\n`);
+        files.forEach((file) => fs.writeFileSync(path.join(awardsRoot, dir, file), ''));
+      }
+    });
+
+    after(function() {
+      fs.rmSync(awardsRoot, { recursive: true, force: true });
+    });
+
+    it('should list each kind of scraper separately', function() {
+      const scrapers = discoverScrapers({ root: awardsRoot });
+      assert.deepStrictEqual(scrapers.map((s) => `${s.jurisdiction} ${s.kind}`), ['ga rfps', 'ga awards', 'or awards']);
+      assert(scrapers[2].path.endsWith(path.join('or', 'awards.js')));
+    });
+
+    it('should filter by kind', function() {
+      assert.deepStrictEqual(_.pluck(discoverScrapers({ root: awardsRoot, kind: 'rfps' }), 'jurisdiction'), ['ga']);
+      assert.deepStrictEqual(_.pluck(discoverScrapers({ root: awardsRoot, kind: 'awards' }), 'jurisdiction'), ['ga', 'or']);
+    });
+
+    it('should find scrapers described in YAML, preferring code', function() {
+      fs.writeFileSync(path.join(awardsRoot, 'ga', 'rfps.yml'), '');
+      fs.mkdirSync(path.join(awardsRoot, 'nv'));
+      fs.writeFileSync(path.join(awardsRoot, 'nv', 'config.yml'), 'name: nv\n');
+      fs.writeFileSync(path.join(awardsRoot, 'nv', 'rfps.yml'), '');
+
+      const scrapers = discoverScrapers({ root: awardsRoot, kind: 'rfps' });
+      assert.deepStrictEqual(scrapers.map((s) => path.basename(s.path)), ['rfps.coffee', 'rfps.yml']);
+      assert.strictEqual(scrapers[1].jurisdiction, 'nv');
+      assert.strictEqual(discoverScrapers.kindFor('scrapers/states/nv/awards.yml'), 'awards');
+
+      fs.rmSync(path.join(awardsRoot, 'ga', 'rfps.yml'));
+      fs.rmSync(path.join(awardsRoot, 'nv'), { recursive: true });
+    });
+
+    it('should tell the kind of a scraper from its file name', function() {
+      assert.strictEqual(discoverScrapers.kindFor('scrapers/states/ga/awards.coffee'), 'awards');
+      assert.strictEqual(discoverScrapers.kindFor('scrapers/states/ga/rfps.js'), 'rfps');
+      assert.strictEqual(discoverScrapers.kindFor('test/fixtures/test_scraper.coffee'), 'rfps');
+    });
+  });
+});
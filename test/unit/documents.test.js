@@ -0,0 +1,191 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const fetchDocuments = require('../../bin/utils/documents');
+const { DocumentArchive, attachDocuments, sniffMimeType, extractText } = fetchDocuments;
+const scraperContext = require('../../bin/utils/scraper_context');
+const createLogger = require('../../bin/utils/logger');
+
+// A one-page PDF that says `text`.
+const makePdf = (text) => {
+  const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+// A DOCX file with one paragraph saying `text`.
+const makeDocx = (text) => {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+  zip.file('word/document.xml', `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`);
+  zip.file('_rels/.rels', '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('documents utility', function() {
+  let server;
+  let baseUrl;
+  let files;
+  let requests;
+  let dir;
+
+  before(async function() {
+    files = {
+      '/bid.pdf': { type: 'application/octet-stream', body: makePdf('Scope of work for toner') },
+      '/bid.docx': { type: 'application/octet-stream', body: await makeDocx('Specifications for paper') },
+      '/notice.html': { type: 'text/html', body: Buffer.from('<html><body><h1>Notice</h1><script>track()</script><p>Bids due   Friday</p></body></html>') }
+    };
+
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const file = files[req.url];
+      if (!file) {
+        res.writeHead(404);
+        return res.end('gone');
+      }
+      res.writeHead(200, { 'Content-Type': file.type });
+      res.end(file.body);
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requests = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-documents-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const quietContext = () => scraperContext({ delay: 0, retries: 0, log: createLogger('test', { silent: true }) });
+
+  describe('sniffMimeType', function() {
+    it('should recognize documents by their content before their Content-Type or URL', function() {
+      assert.strictEqual(sniffMimeType(files['/bid.pdf'].body, 'application/octet-stream'), 'application/pdf');
+      assert.strictEqual(sniffMimeType(files['/bid.docx'].body, null, 'http://x/a.docx'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      assert.strictEqual(sniffMimeType(Buffer.from('<!DOCTYPE html><p>'), 'text/plain'), 'text/html');
+      assert.strictEqual(sniffMimeType(Buffer.from('a,b'), 'text/csv; charset=utf-8'), 'text/csv');
+      assert.strictEqual(sniffMimeType(Buffer.from('??'), 'application/octet-stream', 'http://x/bid.XLS?v=2'), 'application/vnd.ms-excel');
+      assert.strictEqual(sniffMimeType(Buffer.from('??'), null, 'http://x/download'), 'application/octet-stream');
+    });
+  });
+
+  describe('extractText', function() {
+    it('should extract text from PDF, DOCX and HTML', async function() {
+      assert.match(await extractText(files['/bid.pdf'].body, 'application/pdf'), /Scope of work for toner/);
+      assert.strictEqual((await extractText(files['/bid.docx'].body, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')).trim(), 'Specifications for paper');
+      assert.strictEqual(await extractText(files['/notice.html'].body, 'text/html'), 'Notice\nBids due Friday');
+      assert.strictEqual(await extractText(Buffer.from('xx'), 'application/zip'), null);
+    });
+  });
+
+  describe('fetchDocuments', function() {
+    it('should archive every download by hash and record it on the RFP', async function() {
+      const items = [
+        { id: '1', title: 'Toner', downloads: [`${baseUrl}/bid.pdf`, `${baseUrl}/notice.html`] },
+        { id: '2', title: 'Paper', downloads: [`${baseUrl}/bid.docx`, `${baseUrl}/notice.html`] },
+        { id: '3', title: 'Nothing to download' }
+      ];
+      const archive = new DocumentArchive(dir);
+      const summary = await fetchDocuments(items, archive, quietContext());
+      archive.save();
+
+      assert.deepStrictEqual(summary, { fetched: 3, archived: 0, failed: 0 });
+      assert.strictEqual(requests.filter((url) => url === '/notice.html').length, 1, 'should fetch shared documents once');
+
+      const pdf = items[0].documents[0];
+      assert.strictEqual(pdf.url, `${baseUrl}/bid.pdf`);
+      assert.strictEqual(pdf.mime_type, 'application/pdf');
+      assert.strictEqual(pdf.size, files['/bid.pdf'].body.length);
+      assert.strictEqual(pdf.sha256, require('crypto').createHash('sha256').update(files['/bid.pdf'].body).digest('hex'));
+      assert.strictEqual(pdf.path, `${pdf.sha256.slice(0, 2)}/${pdf.sha256}.pdf`);
+      assert.deepStrictEqual(fs.readFileSync(path.join(dir, pdf.path)), files['/bid.pdf'].body);
+      assert.match(fs.readFileSync(path.join(dir, pdf.text_path), 'utf8'), /toner/);
+
+      assert.strictEqual(items[1].documents[0].mime_type, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      assert.deepStrictEqual(items[1].documents[1], items[0].documents[1]);
+      assert.strictEqual(items[2].documents, undefined);
+      assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'index.json')))).length, 3);
+    });
+
+    it('should skip archived documents, and keep them after the site deletes them', async function() {
+      const items = [{ id: '1', title: 'Toner', downloads: [`${baseUrl}/bid.pdf`] }];
+      const archive = new DocumentArchive(dir);
+      await fetchDocuments(items, archive, quietContext());
+      archive.save();
+      requests = [];
+
+      const again = [{ id: '1', title: 'Toner', downloads: [`${baseUrl}/bid.pdf`] }];
+      const summary = await fetchDocuments(again, new DocumentArchive(dir), quietContext());
+      assert.deepStrictEqual(summary, { fetched: 0, archived: 1, failed: 0 });
+      assert.deepStrictEqual(requests, []);
+
+      const purged = Object.assign({}, files);
+      delete files['/bid.pdf'];
+      try {
+        const ctx = quietContext();
+        const forced = [{ id: '1', title: 'Toner', downloads: [`${baseUrl}/bid.pdf`] }];
+        const forcedSummary = await fetchDocuments(forced, new DocumentArchive(dir), ctx, { force: true });
+        assert.deepStrictEqual(forcedSummary, { fetched: 0, archived: 0, failed: 1 });
+        assert.strictEqual(ctx.errors[0].status, 404);
+        assert.deepStrictEqual(forced[0].documents, items[0].documents);
+      } finally {
+        files = purged;
+      }
+    });
+
+    it("should attach archived documents to a later scrape's items, without touching the archive", async function() {
+      const items = [{ id: '1', title: 'Toner', downloads: [`${baseUrl}/bid.pdf`] }];
+      const archive = new DocumentArchive(dir);
+      await fetchDocuments(items, archive, quietContext());
+      archive.save();
+      requests = [];
+
+      const rescraped = [{ id: '1', title: 'Toner', downloads: [`${baseUrl}/bid.pdf`, `${baseUrl}/bid.docx`] }, { id: '2', title: 'Paper' }];
+      assert.strictEqual(attachDocuments(rescraped, new DocumentArchive(dir)), rescraped);
+      assert.deepStrictEqual(rescraped[0].documents, items[0].documents);
+      assert.strictEqual(rescraped[1].documents, undefined);
+      assert.deepStrictEqual(requests, []);
+    });
+
+    it('should report downloads that fail', async function() {
+      const ctx = quietContext();
+      const items = [{ id: '1', title: 'Gone', downloads: [`${baseUrl}/gone.pdf`] }];
+      const summary = await fetchDocuments(items, new DocumentArchive(dir), ctx);
+
+      assert.deepStrictEqual(summary, { fetched: 0, archived: 0, failed: 1 });
+      assert.strictEqual(ctx.errors[0].url, `${baseUrl}/gone.pdf`);
+      assert.deepStrictEqual(items[0].documents, []);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const healthReport = require('../../bin/utils/health');
+const { runMetrics, recordRun, loadHistory, checkHealth, fillRates, formatHealthReport, renderHealthPage, historyFileFor } = require('../../bin/utils/health');
+
+const run = (items, fields = {}) => Object.assign({
+  started_at: '2024-03-01T06:00:00.000Z',
+  duration_ms: 1000,
+  items: items,
+  errors: 0,
+  warnings: 0,
+  fatal: false,
+  http_statuses: { 200: items + 1 },
+  fill_rates: { id: 1, title: 1, contact_email: 0.9 }
+}, fields);
+
+describe('health utility', function() {
+  describe('runMetrics', function() {
+    it('should summarize a scraper result', function() {
+      const metrics = runMetrics({
+        items: [{ id: '1', title: 'RFP 1', contact_email: 'a@b.com' }, { id: '2', title: 'RFP 2', contact_email: ' ' }],
+        errors: [{ fatal: false, message: 'Detail page failed' }],
+        warnings: [],
+        stats: { started_at: '2024-03-01T06:00:00.000Z', duration_ms: 1234, http_statuses: { 200: 3, 500: 1 } }
+      });
+
+      assert.strictEqual(metrics.items, 2);
+      assert.strictEqual(metrics.errors, 1);
+      assert.strictEqual(metrics.fatal, false);
+      assert.strictEqual(metrics.duration_ms, 1234);
+      assert.deepStrictEqual(metrics.http_statuses, { 200: 3, 500: 1 });
+      assert.strictEqual(metrics.fill_rates.title, 1);
+      assert.strictEqual(metrics.fill_rates.contact_email, 0.5, 'blank strings should not count as filled');
+      assert.strictEqual(metrics.fill_rates.nigp_codes, 0, 'every schema field should have a rate');
+    });
+
+    it('should use the award schema for awards', function() {
+      const metrics = runMetrics({ items: [{ id: '1', vendor_name: 'Acme' }], errors: [], warnings: [], stats: {} }, 'awards');
+      assert.strictEqual(metrics.fill_rates.vendor_name, 1);
+      assert(!('responses_due_at' in metrics.fill_rates));
+    });
+  });
+
+  describe('fillRates', function() {
+    it('should treat empty arrays as unfilled, and handle no items', function() {
+      assert.deepStrictEqual(fillRates([{ downloads: [] }, { downloads: ['a.pdf'] }], ['downloads']), { downloads: 0.5 });
+      assert.deepStrictEqual(fillRates([], ['downloads']), { downloads: 0 });
+    });
+  });
+
+  describe('recordRun', function() {
+    let dir;
+
+    beforeEach(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-health-'));
+    });
+
+    afterEach(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should append runs to a history file next to the scraper', function() {
+      const scraperPath = path.join(dir, 'rfps.coffee');
+      recordRun(scraperPath, run(10));
+      recordRun(scraperPath, run(12));
+
+      assert.strictEqual(historyFileFor(scraperPath), path.join(dir, '.cache', 'rfps.health.json'));
+      assert.deepStrictEqual(loadHistory(scraperPath).map((r) => r.items), [10, 12]);
+    });
+
+    it('should only keep the last 100 runs', function() {
+      const scraperPath = path.join(dir, 'rfps.coffee');
+      for (let i = 0; i < 105; i++) recordRun(scraperPath, run(i));
+
+      const history = loadHistory(scraperPath);
+      assert.strictEqual(history.length, 100);
+      assert.strictEqual(history[0].items, 5);
+    });
+
+    it('should return an empty history for a scraper that never ran', function() {
+      assert.deepStrictEqual(loadHistory(path.join(dir, 'awards.coffee')), []);
+    });
+  });
+
+  describe('checkHealth', function() {
+    it('should be unknown without any runs, and ok for steady ones', function() {
+      assert.strictEqual(checkHealth([]).status, 'unknown');
+      assert.deepStrictEqual(checkHealth([run(40), run(42), run(41)]), { status: 'ok', anomalies: [] });
+    });
+
+    it('should fail a run that broke, or found nothing', function() {
+      const broken = checkHealth([run(40), run(0, { fatal: true, errors: 1 })]);
+      assert.strictEqual(broken.status, 'failing');
+      assert.match(broken.anomalies[0].message, /failed outright/);
+
+      const empty = checkHealth([run(40), run(0)]);
+      assert.strictEqual(empty.status, 'failing');
+      assert.match(empty.anomalies[0].message, /no items/);
+    });
+
+    it('should flag a sharp drop in the item count', function() {
+      const health = checkHealth([run(40), run(44), run(42), run(15)]);
+      assert.strictEqual(health.status, 'warning');
+      assert.deepStrictEqual(health.anomalies.map((a) => a.message), ['Item count dropped from 42 to 15']);
+    });
+
+    it('should flag a field that stopped being filled in', function() {
+      const health = checkHealth([run(40), run(40), run(40, { fill_rates: { id: 1, title: 1, contact_email: 0 } })]);
+      assert.deepStrictEqual(health.anomalies.map((a) => a.message), ['contact_email went from 90% to 0% filled in']);
+    });
+
+    it('should flag lots of errors and failed requests', function() {
+      const health = checkHealth([run(40, { errors: 10, http_statuses: { 200: 30, 500: 10, ECONNRESET: 2 } })]);
+      assert.strictEqual(health.status, 'warning');
+      assert.deepStrictEqual(health.anomalies.map((a) => a.message), [
+        '10 error(s) for 40 item(s)',
+        '12 of 42 HTTP requests failed (200: 30, 500: 10, ECONNRESET: 2)'
+      ]);
+    });
+
+    it('should compare against working runs in the window only', function() {
+      const history = [run(1000), run(40), run(0, { fatal: true }), run(40), run(41), run(39)];
+      assert.strictEqual(checkHealth(history, { window: 3 }).status, 'ok');
+      assert.strictEqual(checkHealth(history, { window: 3, itemDrop: 0.01 }).status, 'warning');
+    });
+  });
+
+  describe('reports', function() {
+    let dir;
+
+    before(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-health-'));
+      recordRun(path.join(dir, 'ga', 'rfps.coffee'), run(40));
+      recordRun(path.join(dir, 'ga', 'rfps.coffee'), run(10));
+    });
+
+    after(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const scrapers = () => [
+      { jurisdiction: 'ga', kind: 'rfps', path: path.join(dir, 'ga', 'rfps.coffee'), config: { name: 'Georgia' } },
+      { jurisdiction: 'ga', kind: 'awards', path: path.join(dir, 'ga', 'awards.coffee'), config: { name: 'Georgia' } }
+    ];
+
+    it('should check every scraper', function() {
+      const report = healthReport(scrapers());
+      assert.deepStrictEqual(report.map((e) => e.status), ['warning', 'unknown']);
+      assert.strictEqual(report[0].latest.items, 10);
+      assert.strictEqual(report[0].history.length, 2);
+      assert.strictEqual(report[1].latest, null);
+    });
+
+    it('should format a console report', function() {
+      const lines = formatHealthReport(healthReport(scrapers()));
+      assert.match(lines[0], /WARNING\s+ga\s+10 item\(s\), 0 error\(s\), 1\.0s/);
+      assert.match(lines[1], /Item count dropped from 40 to 10/);
+      assert.match(lines[2], /UNKNOWN\s+ga \(awards\)\s+never run/);
+    });
+
+    it('should render an escaped HTML status page', function() {
+      const report = healthReport(scrapers());
+      report[0].name = '<script>';
+      const html = renderHealthPage(report, new Date('2024-03-01T12:00:00Z'));
+
+      assert.match(html, /^<!DOCTYPE html>/);
+      assert.match(html, /0 ok, 1 warning, 0 failing, 1 unknown\. Generated 2024-03-01T12:00:00\.000Z/);
+      assert.match(html, /<tr class="warning">/);
+      assert.match(html, /40 → 10/);
+      assert(html.includes('&lt;script&gt;') && !html.includes('<script>'));
+    });
+  });
+});
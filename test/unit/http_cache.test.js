@@ -0,0 +1,109 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const httpCache = require('../../bin/utils/http_cache');
+
+describe('http_cache utility', function() {
+  let server;
+  let baseUrl;
+  let requests;
+  let dir;
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+      if (req.url === '/etag') {
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.writeHead(304);
+          return res.end();
+        }
+        res.writeHead(200, { ETag: '"v1"', 'Content-Type': 'text/html' });
+        return res.end('<h1>Bid 1</h1>');
+      }
+      if (req.url === '/modified') {
+        if (req.headers['if-modified-since'] === 'Mon, 01 Jan 2024 00:00:00 GMT') {
+          res.writeHead(304);
+          return res.end();
+        }
+        res.writeHead(200, { 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+        return res.end('modified');
+      }
+      res.writeHead(200);
+      res.end(`${req.method} ${requests.length}`);
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requests = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-http-cache-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should revalidate with If-None-Match and serve 304s from the cache', async function() {
+    const instance = axios.create();
+    httpCache(dir, instance);
+
+    const first = await instance.get(`${baseUrl}/etag`);
+    const second = await instance.get(`${baseUrl}/etag`);
+
+    assert.strictEqual(requests[1].headers['if-none-match'], '"v1"');
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(second.data, first.data);
+    assert.strictEqual(second.cached, true);
+    assert(!first.cached);
+  });
+
+  it('should revalidate with If-Modified-Since', async function() {
+    const instance = axios.create();
+    httpCache(dir, instance);
+
+    await instance.get(`${baseUrl}/modified`);
+    const second = await instance.get(`${baseUrl}/modified`);
+
+    assert.strictEqual(requests[1].headers['if-modified-since'], 'Mon, 01 Jan 2024 00:00:00 GMT');
+    assert.strictEqual(second.data, 'modified');
+    assert.strictEqual(second.cached, true);
+  });
+
+  it('should only cache GET responses with validators', async function() {
+    const instance = axios.create();
+    httpCache(dir, instance);
+
+    await instance.get(`${baseUrl}/plain`);
+    await instance.post(`${baseUrl}/etag`, 'a=1');
+    const second = await instance.get(`${baseUrl}/plain`);
+
+    assert.strictEqual(second.data, 'GET 3');
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+
+  it('should put the original adapter back', function() {
+    const instance = axios.create();
+    const original = instance.defaults.adapter;
+    const restore = httpCache(dir, instance);
+
+    assert.notStrictEqual(instance.defaults.adapter, original);
+    restore();
+    assert.strictEqual(instance.defaults.adapter, original);
+  });
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const httpFixtures = require('../../bin/utils/http_fixtures');
+
+describe('http_fixtures utility', function() {
+  let server;
+  let baseUrl;
+  let fixtureDir;
+  let hits = 0;
+
+  before(function(done) {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-fixtures-'));
+
+    server = http.createServer((req, res) => {
+      hits += 1;
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/missing') {
+          res.writeHead(404, { 'Content-Type': 'text/plain' });
+          return res.end('not found');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<p>${req.method} ${req.url} ${body}</p>`);
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  it('should put fixtures in a directory next to the scraper', function() {
+    assert.strictEqual(
+      httpFixtures.fixtureDirFor('scrapers/states/ga/rfps.coffee'),
+      path.join('scrapers', 'states', 'ga', 'fixtures')
+    );
+  });
+
+  it('should record GET and POST requests to the fixture directory', async function() {
+    const restore = httpFixtures('record', fixtureDir);
+    try {
+      const get = await axios.get(`${baseUrl}/index`);
+      const post = await axios.post(`${baseUrl}/search`, 'theType=OPEN', {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      assert.strictEqual(get.data, '<p>GET /index </p>');
+      assert.strictEqual(post.data, '<p>POST /search theType=OPEN</p>');
+      await assert.rejects(axios.get(`${baseUrl}/missing`), /status code 404/);
+    } finally {
+      restore();
+    }
+
+    assert.strictEqual(fs.readdirSync(fixtureDir).length, 3);
+  });
+
+  it('should replay recorded responses without touching the network', async function() {
+    const hitsBefore = hits;
+    const restore = httpFixtures('replay', fixtureDir);
+    try {
+      const get = await axios.get(`${baseUrl}/index`);
+      const post = await axios.post(`${baseUrl}/search`, 'theType=OPEN', {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      assert.strictEqual(get.status, 200);
+      assert.strictEqual(get.data, '<p>GET /index </p>');
+      assert.strictEqual(get.headers['content-type'], 'text/html');
+      assert.strictEqual(post.data, '<p>POST /search theType=OPEN</p>');
+
+      await assert.rejects(axios.get(`${baseUrl}/missing`), (err) => err.response.status === 404);
+    } finally {
+      restore();
+    }
+
+    assert.strictEqual(hits, hitsBefore);
+  });
+
+  it('should fail requests that have no recorded fixture', async function() {
+    const restore = httpFixtures('replay', fixtureDir);
+    try {
+      await assert.rejects(
+        axios.post(`${baseUrl}/search`, 'theType=CLOSED'),
+        (err) => err.code === 'ERR_NO_FIXTURE'
+      );
+    } finally {
+      restore();
+    }
+  });
+
+  it('should restore the original adapter', function() {
+    const original = axios.defaults.adapter;
+    const restore = httpFixtures('replay', fixtureDir);
+    assert.notStrictEqual(axios.defaults.adapter, original);
+    restore();
+    assert.strictEqual(axios.defaults.adapter, original);
+  });
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const loadDetailCache = require('../../bin/utils/incremental');
+const { DetailCache, stateFileFor } = loadDetailCache;
+
+describe('incremental utility', function() {
+  const now = new Date('2024-03-02T12:00:00Z');
+  const previous = [{ id: '1', title: 'Paper', nigp_codes: ['615'] }, { id: '2', title: 'Toner' }];
+  const state = {
+    1: { fingerprint: 'row 1', fetched_at: '2024-03-02T00:00:00.000Z' },
+    2: { fingerprint: 'row 2', fetched_at: '2024-03-01T00:00:00.000Z' }
+  };
+
+  it('should reuse unchanged items fetched within the TTL', function() {
+    const cache = new DetailCache(previous, state, { now });
+    const item = cache.reuse('1', 'row 1');
+
+    assert.deepStrictEqual(item, previous[0]);
+    assert.notStrictEqual(item.nigp_codes, previous[0].nigp_codes, 'should hand back a copy');
+    assert.deepStrictEqual(cache.stats, { reused: 1, fetched: 0 });
+  });
+
+  it('should not reuse items whose fingerprint changed, or that we never saw', function() {
+    const cache = new DetailCache(previous, state, { now });
+    assert.strictEqual(cache.reuse('1', 'row 1, revised'), null);
+    assert.strictEqual(cache.reuse('1', undefined), null);
+    assert.strictEqual(cache.reuse('3', 'row 3'), null);
+  });
+
+  it('should re-fetch items older than the TTL', function() {
+    assert.strictEqual(new DetailCache(previous, state, { now }).reuse('2', 'row 2'), null);
+    assert.deepStrictEqual(new DetailCache(previous, state, { now, ttl: 48 }).reuse('2', 'row 2'), previous[1]);
+  });
+
+  it('should never reuse anything without a previous run', function() {
+    assert.strictEqual(new DetailCache().reuse('1', 'row 1'), null);
+  });
+
+  it('should only remember items reused or fetched this run', function() {
+    const cache = new DetailCache(previous, state, { now });
+    cache.reuse('1', 'row 1');
+    cache.fetched('3', 'row 3');
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(cache)), {
+      1: state[1],
+      3: { fingerprint: 'row 3', fetched_at: now.toISOString() }
+    });
+  });
+
+  it('should save and load its state next to the scraper', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-incremental-'));
+    const scraperPath = path.join(dir, 'rfps.coffee');
+
+    try {
+      assert.strictEqual(stateFileFor(scraperPath), path.join(dir, '.cache', 'rfps.details.json'));
+
+      const cache = new DetailCache([], {}, { now });
+      cache.fetched('1', 'row 1');
+      cache.save(stateFileFor(scraperPath));
+
+      const loaded = loadDetailCache(scraperPath, previous, { now });
+      assert.deepStrictEqual(loaded.reuse('1', 'row 1'), previous[0]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,149 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The package's main entry point, which registers CoffeeScript itself
+const openrfps = require('../..');
+
+describe('openrfps library API', function() {
+  let root;
+
+  const addScraper = (dir, config, scraper) => {
+    const fullDir = path.join(root, dir);
+    fs.mkdirSync(fullDir, { recursive: true });
+    fs.writeFileSync(path.join(fullDir, 'config.yml'), config);
+    fs.writeFileSync(path.join(fullDir, 'rfps.coffee'), scraper);
+  };
+
+  // Captures everything written to stdout and stderr while `fn` runs.
+  const captureOutput = async (fn) => {
+    const writes = [];
+    const stdout = process.stdout.write;
+    const stderr = process.stderr.write;
+    process.stdout.write = process.stderr.write = (chunk) => { writes.push(String(chunk)); return true; };
+    try {
+      return { value: await fn(), writes };
+    } catch (err) {
+      return { error: err, writes };
+    } finally {
+      process.stdout.write = stdout;
+      process.stderr.write = stderr;
+    }
+  };
+
+  beforeEach(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-api-'));
+    addScraper('ga', 'name: Georgia\nindex_url: http://example.com/\ntimezone: America/New_York\n', `
+module.exports = (ctx) ->
+  ctx.log.info 'Scraping Georgia'
+  return Promise.reject(new Error('The site is down')) if ctx.options.fail
+  Promise.resolve [
+    { id: 'GA-1', title: 'Office Supplies', department_name: 'Administrative Services' }
+    { id: 'GA-2', title: 'Road Salt', department_name: 'Transportation' }
+  ]
+`);
+    addScraper('ga/cities/atlanta', 'name: Atlanta\n', 'module.exports = (ctx) -> Promise.resolve []\n');
+    addScraper('tx', 'name: Texas\n', 'module.exports = (ctx) ->\n  [\n');
+  });
+
+  afterEach(function() {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should list scrapers, and load one by its exact jurisdiction', async function() {
+    const scrapers = await openrfps.listScrapers({ root, state: 'ga' });
+    assert.deepStrictEqual(scrapers.map((s) => s.jurisdiction), ['ga', 'ga/cities/atlanta']);
+
+    const scraper = await openrfps.loadScraper('ga', { root });
+    assert.strictEqual(scraper.jurisdiction, 'ga');
+    assert.strictEqual(scraper.config.name, 'Georgia');
+  });
+
+  it("should reject with a ScraperNotFoundError for a scraper that isn't there", async function() {
+    await assert.rejects(openrfps.loadScraper('ga', { root, kind: 'awards' }), (err) => {
+      assert(err instanceof openrfps.ScraperNotFoundError);
+      assert(err instanceof openrfps.OpenRfpsError);
+      assert.strictEqual(err.jurisdiction, 'ga');
+      assert.strictEqual(err.kind, 'awards');
+      return true;
+    });
+    await assert.rejects(openrfps.run('ga/counties', { root }), openrfps.ScraperNotFoundError);
+    await assert.rejects(openrfps.run(path.join(root, 'or', 'rfps.coffee')), /There's no scraper at/);
+  });
+
+  it('should run a scraper and cache its results, without printing anything', async function() {
+    const { value: result, writes } = await captureOutput(() => openrfps.run('ga', { root }));
+
+    assert.deepStrictEqual(writes, []);
+    assert.strictEqual(result.kind, 'rfps');
+    assert.deepStrictEqual(result.items.map((i) => i.id), ['GA-1', 'GA-2']);
+    assert.deepStrictEqual(await openrfps.readCached('ga', { root }), result.items);
+  });
+
+  it("should give cached results their documents from the archive's index", async function() {
+    addScraper('or', 'name: Oregon\n', `
+module.exports = (ctx) ->
+  Promise.resolve [{ id: 'OR-1', title: 'Bridge Paint', downloads: ['http://example.com/or-1.pdf'] }]
+`);
+    const archive = path.join(root, 'documents');
+    fs.mkdirSync(archive);
+    const doc = { url: 'http://example.com/or-1.pdf', sha256: 'abc', mime_type: 'application/pdf', path: 'ab/abc.pdf' };
+    fs.writeFileSync(path.join(archive, 'index.json'), JSON.stringify({ [doc.url]: doc }));
+
+    await openrfps.run('or', { root });
+    const [rfp] = await openrfps.readCached('or', { root, archive });
+    assert.deepStrictEqual(rfp.documents, [doc]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(root, 'or', 'rfps.json'), 'utf8'))[0].documents, undefined);
+  });
+
+  it('should run a scraper by its path, or as listed, with options', async function() {
+    const [scraper] = await openrfps.listScrapers({ root, jurisdiction: 'ga/cities' });
+    const result = await openrfps.run(scraper, { save: false });
+    assert.deepStrictEqual(result.items, []);
+    assert.strictEqual(await openrfps.readCached(scraper), null);
+
+    const byPath = await openrfps.run(path.join(root, 'ga', 'rfps.coffee'), { save: false });
+    assert.strictEqual(byPath.items.length, 2);
+    assert.strictEqual(await openrfps.readCached('ga', { root }), null);
+  });
+
+  it('should reject with a ScrapeFailedError that holds the result when a scrape fails', async function() {
+    const { error, writes } = await captureOutput(() => openrfps.run('ga', { root, options: { fail: true } }));
+
+    assert.deepStrictEqual(writes, []);
+    assert(error instanceof openrfps.ScrapeFailedError);
+    assert.strictEqual(error.message, 'The site is down');
+    assert.strictEqual(error.result.errors[0].fatal, true);
+    assert.strictEqual(await openrfps.readCached('ga', { root }), null);
+  });
+
+  it("should reject with a ScraperLoadError when a scraper can't be loaded", async function() {
+    await assert.rejects(openrfps.run('tx', { root }), (err) => {
+      assert(err instanceof openrfps.ScraperLoadError);
+      assert.match(err.message, /^Couldn't load .*rfps\.coffee/);
+      assert(err.cause instanceof SyntaxError);
+      return true;
+    });
+  });
+
+  it('should validate results with the rules openrfps test uses', async function() {
+    const result = await openrfps.run('ga', { root, save: false });
+    const report = await openrfps.validate('ga', result, { root });
+    assert.strictEqual(report.ok, true);
+    assert.strictEqual(report.summary.failed, 0);
+
+    const broken = await openrfps.validate('ga', [{ id: 'GA-1' }, { id: 'GA-1', title: 'Road Salt' }], { root });
+    assert.strictEqual(broken.ok, false);
+    const failed = broken.outcomes.filter((o) => o.status === 'failed').map((o) => o.name);
+    assert.deepStrictEqual(failed, ['unique-ids', 'title-present', 'schema']);
+  });
+
+  it('should query every cached result, and reject a malformed filter with an InvalidQueryError', async function() {
+    await openrfps.run('ga', { root });
+
+    const rfps = await openrfps.queryCached({ root, q: 'salt' });
+    assert.deepStrictEqual(rfps.map((r) => r.global_id), ['ga:GA-2']);
+    await assert.rejects(openrfps.queryCached({ root, due_after: 'someday' }), openrfps.InvalidQueryError);
+  });
+});
@@ -0,0 +1,37 @@
+const assert = require('assert');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const createLogger = require('../../bin/utils/logger');
+
+describe('logger utility', function() {
+  it('should keep structured entries', function() {
+    const log = createLogger('ga', { silent: true });
+    log.info('Downloaded RFP', { id: '123' });
+    log.error('Failed');
+
+    assert.strictEqual(log.entries.length, 2);
+    assert.strictEqual(log.entries[0].level, 'info');
+    assert.strictEqual(log.entries[0].name, 'ga');
+    assert.strictEqual(log.entries[0].id, '123');
+    assert.strictEqual(log.entries[1].message, 'Failed');
+  });
+
+  it('should print entries at or above its level to stderr', function() {
+    const originalWrite = process.stderr.write;
+    let output = '';
+    process.stderr.write = (chunk) => { output += chunk; return true; };
+
+    try {
+      const log = createLogger('ga', { level: 'warn' });
+      log.info('Not printed');
+      log.warn('Retrying', { attempt: 1 });
+    } finally {
+      process.stderr.write = originalWrite;
+    }
+
+    assert(!output.includes('Not printed'));
+    assert(output.includes('[ga] Retrying attempt=1'));
+  });
+});
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const loadNigpTable = require('../../bin/utils/nigp');
+const { NigpTable, cleanCode } = require('../../bin/utils/nigp');
+
+describe('nigp utility', function() {
+  const table = loadNigpTable();
+
+  it('should load the bundled reference table', function() {
+    assert.strictEqual(table.classes['615'].description, 'Office Supplies, General');
+    assert.strictEqual(loadNigpTable(), table, 'should only load it once');
+  });
+
+  it('should clean up scraped codes', function() {
+    assert.strictEqual(cleanCode(' 615-20 '), '61520');
+    assert.strictEqual(cleanCode('615.20'), '61520');
+  });
+
+  describe('validation', function() {
+    it('should accept codes whose class is known', function() {
+      assert(table.isKnown('615'));
+      assert(table.isKnown('61520'));
+      assert(table.isKnown('615-20'));
+    });
+
+    it('should reject unknown classes and malformed codes', function() {
+      assert.deepStrictEqual(table.validate(['61520', '99920', '6152', 'ABC']), {
+        valid: ['61520'],
+        unknown: ['99920'],
+        malformed: ['6152', 'ABC']
+      });
+    });
+
+    it('should check item codes when the table lists a class\'s items', function() {
+      const detailed = new NigpTable({ classes: { '615': 'Office Supplies' }, items: { '61520': 'Binders' } });
+      assert(detailed.isKnown('61520'));
+      assert(detailed.isKnown('6152012'));
+      assert(!detailed.isKnown('61599'));
+    });
+  });
+
+  describe('descriptions', function() {
+    it('should describe codes by their item, or else their class', function() {
+      const detailed = new NigpTable({ classes: { '615': 'Office Supplies' }, items: { '61520': 'Binders' } });
+      assert.deepStrictEqual(detailed.describe('61520'), {
+        code: '61520', class: '615', class_description: 'Office Supplies', description: 'Binders'
+      });
+      assert.strictEqual(detailed.describe('61530').description, 'Office Supplies');
+      assert.strictEqual(detailed.describe('99900').description, null);
+    });
+  });
+
+  describe('suggestions', function() {
+    it('should suggest codes from the title and description', function() {
+      const suggestions = table.suggest({ title: 'Road Resurfacing', description: 'Asphalt paving of SR 400' });
+      assert.strictEqual(suggestions[0].code, '745');
+      assert(suggestions[0].score > 0.5 && suggestions[0].score <= 1);
+      assert(suggestions.length <= 3);
+    });
+
+    it('should weigh the commodity most heavily', function() {
+      const suggestions = table.suggest({ commodity: 'Janitorial cleaning products', title: 'Office building' });
+      assert.strictEqual(suggestions[0].code, '485');
+    });
+
+    it('should suggest nothing when nothing matches', function() {
+      assert.deepStrictEqual(table.suggest({ title: 'Xyzzy' }), []);
+      assert.deepStrictEqual(table.suggest({}), []);
+    });
+  });
+
+  it('should load a CSV table', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-nigp-'));
+    const file = path.join(dir, 'nigp.csv');
+    fs.writeFileSync(file, 'code,description\n615,"Office Supplies, General"\n615-20,Binders\n');
+
+    const csvTable = loadNigpTable(file);
+    assert.strictEqual(csvTable.classes['615'].description, 'Office Supplies, General');
+    assert.strictEqual(csvTable.describe('61520').description, 'Binders');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,135 @@
+const assert = require('assert');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const normalize = require('../../bin/utils/normalize');
+const { normalizeDate, normalizePhone, normalizeBoolean, parseAddress } = normalize;
+
+describe('normalize utility', function() {
+  const TZ = 'America/New_York';
+  const reference = new Date(2024, 0, 1);
+
+  describe('normalizeDate()', function() {
+    it('should parse GA-style dates in the jurisdiction timezone', function() {
+      assert.strictEqual(normalizeDate('3/15/2024 2:00 PM', TZ), '2024-03-15T14:00:00.000-04:00');
+      assert.strictEqual(normalizeDate('1/15/2024 10:30 AM', TZ), '2024-01-15T10:30:00.000-05:00');
+    });
+
+    it('should parse free-form dates', function() {
+      assert.strictEqual(normalizeDate('April 13th at 4pm', TZ, reference), '2024-04-13T16:00:00.000-04:00');
+    });
+
+    it('should return a plain date when there is no time of day', function() {
+      assert.strictEqual(normalizeDate('03/01/2024', TZ), '2024-03-01');
+    });
+
+    it('should honor an explicit offset', function() {
+      assert.strictEqual(normalizeDate('2005-06-15T12:00:00Z', TZ), '2005-06-15T08:00:00.000-04:00');
+    });
+
+    it('should return null for blank or unparseable values', function() {
+      assert.strictEqual(normalizeDate('', TZ), null);
+      assert.strictEqual(normalizeDate('TBD', TZ), null);
+    });
+  });
+
+  describe('normalizePhone()', function() {
+    it('should produce E.164 numbers', function() {
+      assert.deepStrictEqual(normalizePhone('(404) 555-1234'), { phone: '+14045551234', extension: null });
+      assert.deepStrictEqual(normalizePhone('1-404-555-1234'), { phone: '+14045551234', extension: null });
+    });
+
+    it('should split out extensions', function() {
+      assert.deepStrictEqual(normalizePhone('404.555.1234 ext. 56'), { phone: '+14045551234', extension: '56' });
+    });
+
+    it('should return null for numbers it cannot make sense of', function() {
+      assert.strictEqual(normalizePhone('555-1234'), null);
+      assert.strictEqual(normalizePhone(''), null);
+    });
+  });
+
+  describe('normalizeBoolean()', function() {
+    it('should understand common spellings', function() {
+      assert.strictEqual(normalizeBoolean('Yes'), true);
+      assert.strictEqual(normalizeBoolean(' no '), false);
+      assert.strictEqual(normalizeBoolean(true), true);
+      assert.strictEqual(normalizeBoolean(''), null);
+      assert.strictEqual(normalizeBoolean('maybe'), null);
+    });
+  });
+
+  describe('parseAddress()', function() {
+    it('should parse GA-style multi-line addresses', function() {
+      assert.deepStrictEqual(parseAddress('Room 1\n200 Piedmont Ave\nAtlanta, GA 30334'), {
+        full: 'Room 1, 200 Piedmont Ave, Atlanta, GA 30334',
+        name: 'Room 1',
+        street: '200 Piedmont Ave',
+        city: 'Atlanta',
+        state: 'GA',
+        zip: '30334'
+      });
+    });
+
+    it('should parse single-line addresses', function() {
+      const address = parseAddress('200 Piedmont Ave, Atlanta, GA 30334-1234');
+      assert.strictEqual(address.street, '200 Piedmont Ave');
+      assert.strictEqual(address.city, 'Atlanta');
+      assert.strictEqual(address.zip, '30334-1234');
+    });
+
+    it('should return null for empty addresses', function() {
+      assert.strictEqual(parseAddress('\n\n, '), null);
+    });
+  });
+
+  describe('normalizing items', function() {
+    const [item] = normalize([{
+      id: ' 47800-DOAS0001 ',
+      title: 'Office Supplies',
+      html_url: 'http://ssl.doas.state.ga.us/PRSapp/PublicBidNotice?bid_op=47800',
+      contact_email: ' Jane.Doe@DOAS.GA.GOV ',
+      contact_phone: '404-555-1234',
+      responses_due_at: '3/15/2024 2:00 PM',
+      canceled: 'No',
+      downloads: ['/PRSapp/doc.pdf'],
+      prebid_conferences: [{
+        attendance_mandatory: true,
+        datetime: '3/1/2024 10:00 AM',
+        address: 'Room 1\n200 Piedmont Ave\nAtlanta, GA 30334'
+      }]
+    }], { timezone: TZ });
+
+    it('should normalize each field', function() {
+      assert.strictEqual(item.id, '47800-DOAS0001');
+      assert.strictEqual(item.contact_email, 'jane.doe@doas.ga.gov');
+      assert.strictEqual(item.contact_phone, '+14045551234');
+      assert.strictEqual(item.responses_due_at, '2024-03-15T14:00:00.000-04:00');
+      assert.strictEqual(item.canceled, false);
+      assert.deepStrictEqual(item.downloads, ['http://ssl.doas.state.ga.us/PRSapp/doc.pdf']);
+      assert.strictEqual(item.prebid_conferences[0].datetime, '2024-03-01T10:00:00.000-05:00');
+      assert.strictEqual(item.prebid_conferences[0].address.city, 'Atlanta');
+    });
+
+    it('should keep the raw values of changed fields', function() {
+      assert.strictEqual(item.raw.contact_email, ' Jane.Doe@DOAS.GA.GOV ');
+      assert.strictEqual(item.raw.responses_due_at, '3/15/2024 2:00 PM');
+      assert.deepStrictEqual(item.raw.downloads, ['/PRSapp/doc.pdf']);
+      assert(!('title' in item.raw), 'unchanged fields are not repeated');
+    });
+
+    it('should suggest NIGP codes when the scraper found none', function() {
+      assert.strictEqual(item.nigp_suggestions[0].code, '615');
+      assert(!('nigp' in item));
+    });
+
+    it('should clean up and describe NIGP codes', function() {
+      const [coded] = normalize([{ id: '1', title: 'Paving', nigp_codes: ['745-20', ' 91378 '] }]);
+      assert.deepStrictEqual(coded.nigp_codes, ['74520', '91378']);
+      assert.strictEqual(coded.nigp[0].description, 'Road and Highway Building Materials (Asphaltic)');
+      assert.strictEqual(coded.nigp[1].class, '913');
+      assert(!('nigp_suggestions' in coded));
+    });
+  });
+});
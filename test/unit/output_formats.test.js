@@ -0,0 +1,132 @@
+const assert = require('assert');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const formatRfps = require('../../bin/utils/output_formats');
+
+describe('output_formats utility', function() {
+  const items = [
+    {
+      id: '47800-DOAS0001',
+      title: 'Office Supplies, "Bulk" & Toner',
+      html_url: 'http://example.com/rfps/1',
+      department_name: 'Department of Administrative Services',
+      description: 'Paper and toner\nfor every agency',
+      created_at: '3/1/2024',
+      responses_due_at: '3/15/2024 2:00 PM',
+      downloads: ['http://example.com/rfp.pdf', 'http://example.com/addendum.pdf'],
+      nigp_codes: ['61500', '61520'],
+      prebid_conferences: [{ attendance_mandatory: true, datetime: '3/5/2024 10:00 AM', address: '200 Piedmont Ave, Atlanta, GA' }]
+    },
+    { id: '47800-DOAS0002', title: 'Janitorial Services', responses_due_at: '4/1/2024' }
+  ];
+
+  const opts = {
+    name: 'Georgia',
+    jurisdiction: 'ga',
+    link: 'http://ssl.doas.state.ga.us/PRSapp/',
+    timezone: 'America/New_York',
+    now: new Date('2024-03-02T12:00:00Z')
+  };
+
+  it('should output pretty JSON by default', function() {
+    assert.deepStrictEqual(JSON.parse(formatRfps(items)), items);
+  });
+
+  it('should output one JSON object per line for ndjson', function() {
+    const lines = formatRfps(items, 'ndjson').trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(JSON.parse(lines[1]).id, '47800-DOAS0002');
+  });
+
+  it('should reject unknown formats', function() {
+    assert.throws(() => formatRfps(items, 'xml'), /Unknown format 'xml'/);
+  });
+
+  describe('csv', function() {
+    const rows = formatRfps(items, 'csv', opts).split('\r\n');
+
+    it('should have a header row and one row per RFP', function() {
+      assert.strictEqual(rows[0].split(',')[0], 'id');
+      assert.strictEqual(rows.filter((r) => r.startsWith('47800-')).length, 2);
+    });
+
+    it('should quote cells with commas, quotes and newlines', function() {
+      assert(rows[1].includes('"Office Supplies, ""Bulk"" & Toner"'));
+      assert(rows[1].includes('"Paper and toner\nfor every agency"'));
+    });
+
+    it('should flatten downloads, NIGP codes and conferences', function() {
+      assert(rows[1].includes('http://example.com/rfp.pdf; http://example.com/addendum.pdf'));
+      assert(rows[1].includes('61500; 61520'));
+      assert(rows[1].includes('"3/5/2024 10:00 AM 200 Piedmont Ave, Atlanta, GA (mandatory)"'));
+    });
+  });
+
+  describe('atom', function() {
+    const feed = formatRfps(items, 'atom', opts);
+
+    it('should link each entry to its html_url', function() {
+      assert(feed.includes('<feed xmlns="http://www.w3.org/2005/Atom">'));
+      assert(feed.includes('<title>Georgia RFPs</title>'));
+      assert(feed.includes('<link rel="alternate" href="http://example.com/rfps/1"/>'));
+    });
+
+    it('should escape XML and give RFPs without a URL a unique id', function() {
+      assert(feed.includes('<title>Office Supplies, &quot;Bulk&quot; &amp; Toner</title>'));
+      assert(feed.includes('<id>urn:openrfps:ga:47800-DOAS0002</id>'));
+    });
+  });
+
+  describe('rss', function() {
+    const feed = formatRfps(items, 'rss', opts);
+
+    it('should have an item per RFP', function() {
+      assert.strictEqual(feed.match(/<item>/g).length, 2);
+      assert(feed.includes('<link>http://example.com/rfps/1</link>'));
+      assert(feed.includes('<pubDate>Fri, 01 Mar 2024 05:00:00 GMT</pubDate>'));
+    });
+  });
+
+  describe('ics', function() {
+    const calendar = formatRfps(items, 'ics', opts);
+    const unfolded = calendar.replace(/\r\n /g, '');
+
+    it('should add an event for each due date and conference', function() {
+      assert(calendar.startsWith('BEGIN:VCALENDAR\r\n'));
+      assert.strictEqual(calendar.match(/BEGIN:VEVENT/g).length, 3);
+    });
+
+    it('should convert times to UTC, and make date-only deadlines all-day events', function() {
+      assert(unfolded.includes('DTSTART:20240315T180000Z'));
+      assert(unfolded.includes('DTSTART:20240305T150000Z'));
+      assert(unfolded.includes('DTSTART;VALUE=DATE:20240401'));
+    });
+
+    it('should escape text and include conference locations', function() {
+      assert(unfolded.includes('SUMMARY:Mandatory prebid conference: Office Supplies\\, "Bulk" & Toner'));
+      assert(unfolded.includes('LOCATION:200 Piedmont Ave\\, Atlanta\\, GA'));
+    });
+
+    it('should fold long lines', function() {
+      calendar.split('\r\n').forEach((line) => assert(Buffer.byteLength(line) <= 75, line));
+    });
+  });
+
+  describe('awards', function() {
+    const awards = [{ id: 'A-1', rfp_id: '47800-DOAS0001', vendor_name: 'Acme, Inc.', amount: 1250000 }];
+
+    it('should use award columns for CSV', function() {
+      const rows = formatRfps(awards, 'csv', { kind: 'awards' }).split('\r\n');
+      assert(rows[0].startsWith('id,rfp_id,title,department_name,html_url,vendor_name'));
+      assert(rows[1].startsWith('A-1,47800-DOAS0001,,,,"Acme, Inc."'));
+    });
+
+    it('should only offer formats that make sense for awards', function() {
+      assert.deepStrictEqual(formatRfps.formatsFor('awards'), ['json', 'ndjson', 'csv']);
+      assert.throws(() => formatRfps(awards, 'ics', { kind: 'awards' }), /Try one of: json, ndjson, csv/);
+    });
+  });
+});
+
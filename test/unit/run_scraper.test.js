@@ -33,14 +33,49 @@ module.exports = (opts, done) ->
     fs.writeFileSync(testScraperPath, testScraperContent);
   });
 
+  const promiseScraperPath = 'test/fixtures/test_promise_scraper.coffee';
+  const brokenScraperPath = 'test/fixtures/test_broken_scraper.coffee';
+  const brokenJsonPath = 'test/fixtures/test_broken_scraper.json';
+  const emittingScraperPath = 'test/fixtures/test_emitting_scraper.coffee';
+  const emittingJsonPath = 'test/fixtures/test_emitting_scraper.json';
+
+  before(function() {
+    fs.writeFileSync(promiseScraperPath, `
+module.exports = (ctx) ->
+  ctx.reportError new Error('Detail page failed'), id: '2'
+  Promise.resolve [{ id: '1', title: 'Test RFP 1' }]
+`);
+    fs.writeFileSync(brokenScraperPath, `
+module.exports = (ctx) ->
+  Promise.reject new Error('The site is down')
+`);
+    // Emits its RFPs one at a time, fetching only those that aren't checkpointed, and
+    // gives up after the first one with the 'fail' option.
+    fs.writeFileSync(emittingScraperPath, `
+module.exports = (ctx) ->
+  global.emittingScraperFetched = fetched = []
+  for id in ['1', '2', '3']
+    if saved = ctx.checkpoint.get(id)
+      ctx.emit saved
+      continue
+    return Promise.reject(new Error('The site went down')) if ctx.options.fail && ctx.emitted.length
+    fetched.push id
+    ctx.emit { id: id, title: "Test RFP #{id}" }
+  Promise.resolve()
+`);
+  });
+
   after(function() {
     // Clean up test files
-    if (fs.existsSync(testScraperPath)) {
-      fs.unlinkSync(testScraperPath);
-    }
+    [testScraperPath, promiseScraperPath, brokenScraperPath, brokenJsonPath, emittingScraperPath, emittingJsonPath].forEach((file) => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
     if (fs.existsSync(testJsonPath)) {
       fs.unlinkSync(testJsonPath);
     }
+    fs.rmSync('test/fixtures/.cache', { recursive: true, force: true });
   });
 
   describe('basic functionality', function() {
@@ -49,14 +84,14 @@ module.exports = (opts, done) ->
       const program = { args: [] };
       
       // Capture console output
-      const originalLog = console.log;
+      const originalError = console.error;
       let logOutput = '';
-      console.log = (msg) => { logOutput += msg; };
+      console.error = (msg) => { logOutput += msg; };
       
       // This function returns early without calling callback
       const result = runScraper(program, () => {});
       
-      console.log = originalLog;
+      console.error = originalError;
       assert(logOutput.includes('You must provide a <file>'), 'Should display error message');
     });
 
@@ -143,4 +178,291 @@ module.exports = (opts, done) ->
       });
     });
   });
+
+  describe('structured results', function() {
+    it('should pass a structured result as the second argument', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const program = {
+        args: ['test/fixtures/test_scraper.coffee'],
+        force: true,
+        skipsave: true
+      };
+
+      runScraper(program, (items, result) => {
+        assert.strictEqual(result.items, items);
+        assert.deepStrictEqual(result.errors, []);
+        assert.strictEqual(result.stats.items, 2);
+        assert(result.stats.duration_ms >= 0);
+        done();
+      });
+    });
+
+    it('should resolve with the result from scrape(), telling notify what it did instead of printing it', async function() {
+      const { scrape } = require('../../bin/utils/run_scraper');
+      const notices = [];
+      const originalError = console.error;
+      let printed = false;
+      console.error = () => { printed = true; };
+
+      try {
+        const result = await scrape(testScraperPath, { force: true, notify: (level, message) => notices.push([level, message]) });
+        assert.deepStrictEqual(result.items.map((i) => i.id), ['1', '2']);
+        assert.deepStrictEqual(notices, [['success', `Cached results to ${testJsonPath}`]]);
+        await assert.rejects(scrape('test/fixtures/nowhere.coffee', { force: true }), (err) => err.name === 'ScraperLoadError');
+      } finally {
+        console.error = originalError;
+      }
+      assert.strictEqual(printed, false);
+    });
+
+    it('should support scrapers that return a Promise and report errors', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const program = {
+        args: [promiseScraperPath],
+        force: true,
+        skipsave: true
+      };
+
+      runScraper(program, (items, result) => {
+        assert.deepStrictEqual(items, [{ id: '1', title: 'Test RFP 1' }]);
+        assert.strictEqual(result.errors.length, 1);
+        assert.strictEqual(result.errors[0].fatal, false);
+        assert.strictEqual(result.errors[0].id, '2');
+        assert.strictEqual(result.errors[0].message, 'Detail page failed');
+        done();
+      });
+    });
+
+    it('should compare against the cached snapshot in diff mode', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      fs.writeFileSync(testJsonPath, JSON.stringify([{ id: '1', title: 'Old title' }, { id: '3', title: 'Gone' }]));
+
+      const originalError = console.error;
+      console.error = () => {};
+
+      runScraper({ args: [testScraperPath], force: true, diff: true }, (items, result) => {
+        console.error = originalError;
+        assert.deepStrictEqual(result.changes.summary, { added: 1, removed: 1, updated: 1, closed: 0, unchanged: 0 });
+        assert.strictEqual(JSON.parse(fs.readFileSync(testJsonPath)).length, 2, 'should still cache the new results');
+        done();
+      });
+    });
+
+    it('should write alert digests for new RFPs that match saved searches', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const os = require('os');
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-alerts-'));
+      const searchesPath = path.join(dir, 'searches.yml');
+      fs.writeFileSync(searchesPath, `searches:\n  - name: Second\n    keywords: [rfp 2]\ndigests:\n  dir: ${path.join(dir, 'digests')}\n`);
+      fs.writeFileSync(testJsonPath, JSON.stringify([{ id: '1', title: 'Test RFP 1' }]));
+
+      const originalError = console.error;
+      console.error = () => {};
+
+      runScraper({ args: [testScraperPath], force: true, skipsave: true, alerts: searchesPath }, (items, result) => {
+        console.error = originalError;
+        fs.rmSync(dir, { recursive: true, force: true });
+        assert.deepStrictEqual(result.errors, []);
+        assert.strictEqual(result.alerts.digests.length, 1);
+        assert.strictEqual(result.alerts.digests[0].matches, 1);
+        done();
+      });
+    });
+
+    it('should reuse unchanged details from the last run in incremental mode', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const incrementalPath = 'test/fixtures/incremental.coffee';
+      const incrementalJsonPath = 'test/fixtures/incremental.json';
+      fs.writeFileSync(incrementalPath, `
+module.exports = (ctx) ->
+  Promise.resolve ['1', '2'].map (id) ->
+    ctx.details.reuse(id, 'row ' + id) || do ->
+      ctx.details.fetched id, 'row ' + id
+      { id: id, title: 'Fetched at ' + Date.now() }
+`);
+
+      const originalError = console.error;
+      console.error = () => {};
+
+      const cleanUp = () => {
+        console.error = originalError;
+        [incrementalPath, incrementalJsonPath].forEach((file) => fs.existsSync(file) && fs.unlinkSync(file));
+        fs.rmSync('test/fixtures/.cache', { recursive: true, force: true });
+      };
+
+      runScraper({ args: [incrementalPath], force: true, incremental: true }, (first, firstResult) => {
+        runScraper({ args: [incrementalPath], force: true, incremental: true }, (second, secondResult) => {
+          cleanUp();
+          assert.deepStrictEqual([firstResult.stats.fetched, firstResult.stats.reused], [2, 0]);
+          assert.deepStrictEqual([secondResult.stats.fetched, secondResult.stats.reused], [0, 2]);
+          assert.deepStrictEqual(second, first);
+          done();
+        });
+      });
+    });
+
+    it("should hand the scraper its config.yml, and apply its politeness settings", function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const dir = 'test/fixtures/configured';
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'config.yml'), 'name: Configured\npoliteness:\n  concurrency: 2\n  delay: 10\n');
+      fs.writeFileSync(path.join(dir, 'rfps.coffee'), `
+module.exports = (ctx) ->
+  Promise.resolve [{ id: '1', title: ctx.config.name, concurrency: ctx.concurrency, delay: ctx.delay }]
+`);
+
+      runScraper({ args: [path.join(dir, 'rfps.coffee')], force: true, skipsave: true, delay: 50 }, (items) => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        assert.deepStrictEqual(items, [{ id: '1', title: 'Configured', concurrency: 2, delay: 50 }], '--delay should win over config.yml');
+        done();
+      });
+    });
+
+    it("should pass the scraper its options, from config.yml and --scraper-option", function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const { collectOption } = require('../../bin/utils/run_scraper');
+      const dir = 'test/fixtures/options';
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'config.yml'), 'name: Options\noptions:\n  status: [open]\n  gov_type: state\n');
+      fs.writeFileSync(path.join(dir, 'rfps.coffee'), "module.exports = (ctx) -> Promise.resolve [{ id: '1', title: 'Options', options: ctx.options }]\n");
+
+      const scraperOption = ['status=open,awarded', 'page=2'].reduce((options, value) => collectOption(value, options), undefined);
+      assert.deepStrictEqual(scraperOption, { status: ['open', 'awarded'], page: '2' });
+      assert.throws(() => collectOption('status'), /Expected key=value/);
+
+      runScraper({ args: [path.join(dir, 'rfps.coffee')], force: true, skipsave: true, scraperOption }, (items) => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        assert.deepStrictEqual(items[0].options, { status: ['open', 'awarded'], gov_type: 'state', page: '2' });
+        done();
+      });
+    });
+
+    it('should tell RFP and award scrapers apart, and only store RFPs', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const awardsPath = 'test/fixtures/awards.coffee';
+      const dbPath = path.join(require('os').tmpdir(), `openrfps-awards-${process.pid}.sqlite`);
+      fs.writeFileSync(awardsPath, "module.exports = (opts, done) -> done [{ id: 'A-1', vendor_name: 'Acme' }]\n");
+
+      runScraper({ args: [testScraperPath], force: true, skipsave: true }, (items, result) => {
+        assert.strictEqual(result.kind, 'rfps');
+
+        runScraper({ args: [awardsPath], force: true, skipsave: true, db: dbPath }, (items, result) => {
+          fs.unlinkSync(awardsPath);
+          assert.strictEqual(result.kind, 'awards');
+          assert.deepStrictEqual(items, [{ id: 'A-1', vendor_name: 'Acme' }]);
+          assert.match(result.warnings[0].message, /only stores RFPs/);
+          assert(!fs.existsSync(dbPath));
+          done();
+        });
+      });
+    });
+
+    it('should record the health of full runs, failed ones included', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const { loadHistory } = require('../../bin/utils/health');
+      fs.rmSync('test/fixtures/.cache', { recursive: true, force: true });
+
+      const originalError = console.error;
+      console.error = () => {};
+
+      runScraper({ args: [testScraperPath], force: true, skipsave: true }, () => {
+        runScraper({ args: [testScraperPath], force: true, limit: 1 }, () => {
+          runScraper({ args: [testScraperPath], force: true }, () => {
+            runScraper({ args: [brokenScraperPath], force: true }, () => {
+              console.error = originalError;
+              const history = loadHistory(testScraperPath);
+              assert.strictEqual(history.length, 1, 'should skip --skipsave and --limit runs');
+              assert.strictEqual(history[0].items, 2);
+              assert.strictEqual(history[0].fill_rates.title, 1);
+              assert.strictEqual(loadHistory(brokenScraperPath)[0].fatal, true);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should report a rejected scraper as a fatal error and keep the old cache', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      fs.writeFileSync(brokenJsonPath, JSON.stringify([{ id: 'old', title: 'Old RFP' }]));
+
+      const originalError = console.error;
+      console.error = () => {};
+
+      runScraper({ args: [brokenScraperPath], force: true }, (items, result) => {
+        console.error = originalError;
+        assert.deepStrictEqual(items, []);
+        assert.strictEqual(result.errors.length, 1);
+        assert.strictEqual(result.errors[0].fatal, true);
+        assert.strictEqual(result.errors[0].message, 'The site is down');
+        assert.strictEqual(JSON.parse(fs.readFileSync(brokenJsonPath))[0].id, 'old');
+        done();
+      });
+    });
+
+    it('should put the HTTP adapter back when replaying fails, even before the scraper runs', async function() {
+      const axios = require('axios');
+      const os = require('os');
+      const { scrape } = require('../../bin/utils/run_scraper');
+      const log = require('../../bin/utils/logger')('replay', { silent: true });
+      const adapter = axios.defaults.adapter;
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-replay-'));
+
+      try {
+        const result = await scrape(brokenScraperPath, { replay: true, save: false, log });
+        assert.strictEqual(result.errors[0].fatal, true);
+        assert.strictEqual(axios.defaults.adapter, adapter);
+
+        fs.writeFileSync(path.join(dir, 'rfps.coffee'), 'module.exports = (ctx) -> Promise.resolve []\n');
+        fs.writeFileSync(path.join(dir, 'config.yml'), 'name: [Georgia\n');
+        await assert.rejects(scrape(path.join(dir, 'rfps.coffee'), { replay: true, save: false, log }), /unexpected end/);
+        assert.strictEqual(axios.defaults.adapter, adapter);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should keep what a failed run emitted, and resume from it with --resume', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const { checkpointFileFor, readCheckpoint } = require('../../bin/utils/checkpoint');
+      const checkpointFile = checkpointFileFor(emittingScraperPath);
+      const streamed = [];
+
+      const originalError = console.error;
+      console.error = () => {};
+
+      runScraper({ args: [emittingScraperPath], force: true, scraperOption: { fail: true } }, (items, result) => {
+        assert.strictEqual(result.errors[0].fatal, true);
+        assert.deepStrictEqual(readCheckpoint(checkpointFile).map((item) => item.id), ['1']);
+
+        runScraper({ args: [emittingScraperPath], force: true, resume: true, onItem: (item) => streamed.push(item.id) }, (items, result) => {
+          console.error = originalError;
+          assert.deepStrictEqual(result.errors, []);
+          assert.deepStrictEqual(items.map((item) => item.id), ['1', '2', '3']);
+          assert.deepStrictEqual(global.emittingScraperFetched, ['2', '3'], 'should only fetch what the checkpoint is missing');
+          assert.deepStrictEqual(streamed, ['1', '2', '3']);
+          assert.deepStrictEqual(JSON.parse(fs.readFileSync(emittingJsonPath)).map((item) => item.id), ['1', '2', '3']);
+          assert(!fs.existsSync(checkpointFile), 'should delete the checkpoint once a run finishes');
+          delete global.emittingScraperFetched;
+          done();
+        });
+      });
+    });
+
+    it('should start over without --resume', function(done) {
+      const runScraper = require('../../bin/utils/run_scraper');
+      const originalError = console.error;
+      console.error = () => {};
+
+      runScraper({ args: [emittingScraperPath], force: true, scraperOption: { fail: true } }, () => {
+        runScraper({ args: [emittingScraperPath], force: true }, (items) => {
+          console.error = originalError;
+          assert.deepStrictEqual(global.emittingScraperFetched, ['1', '2', '3']);
+          assert.strictEqual(items.length, 3);
+          delete global.emittingScraperFetched;
+          done();
+        });
+      });
+    });
+  });
 });
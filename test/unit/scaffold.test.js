@@ -0,0 +1,133 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const yaml = require('js-yaml');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+const coffee = require('coffeescript');
+
+const scaffold = require('../../bin/utils/scaffold');
+const { checkConfig } = require('../../bin/utils/discover_scrapers');
+
+describe('scaffold utility', function() {
+  let root;
+
+  beforeEach(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-scaffold-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const read = (file) => fs.readFileSync(path.join(root, file), 'utf8');
+
+  it('should lay out a state scraper', function() {
+    const created = scaffold({ state: 'OR', root });
+
+    assert.strictEqual(created.jurisdiction, 'or');
+    assert.deepStrictEqual(created.files, [
+      'scrapers/states/or/config.yml',
+      'scrapers/states/or/rfps.coffee',
+      'scrapers/states/or/fixtures/.gitkeep',
+      'test/integration/or_scraper.test.js'
+    ]);
+    assert.deepStrictEqual(yaml.load(read('scrapers/states/or/config.yml')), {
+      name: 'Oregon',
+      type: 'state',
+      state: 'or',
+      index_url: 'http://example.com/bids',
+      timezone: 'America/Los_Angeles',
+      outputs: ['rfps']
+    });
+  });
+
+  it('should lay out city and county scrapers', function() {
+    assert.strictEqual(scaffold({ state: 'ga', city: 'Sandy Springs', root }).jurisdiction, 'ga/cities/sandy-springs');
+    assert.strictEqual(yaml.load(read('scrapers/states/ga/cities/sandy-springs/config.yml')).name, 'Sandy Springs');
+
+    assert.strictEqual(scaffold({ state: 'ga', county: 'Fulton', root }).jurisdiction, 'ga/counties/fulton');
+    assert.strictEqual(yaml.load(read('scrapers/states/ga/counties/fulton/config.yml')).name, 'Fulton County');
+    assert(fs.existsSync(path.join(root, 'test/integration/ga_counties_fulton_scraper.test.js')));
+
+    assert.strictEqual(scaffold({ state: 'la', county: 'Orleans Parish', root }).jurisdiction, 'la/counties/orleans');
+  });
+
+  it('should fill in config.yml from the options', function() {
+    scaffold({ state: 'tx', city: 'El Paso', name: 'City of El Paso', indexUrl: 'https://example.com/bids', timezone: 'America/Denver', root });
+    assert.deepStrictEqual(yaml.load(read('scrapers/states/tx/cities/el-paso/config.yml')), {
+      name: 'City of El Paso',
+      type: 'city',
+      state: 'tx',
+      index_url: 'https://example.com/bids',
+      timezone: 'America/Denver',
+      outputs: ['rfps']
+    });
+  });
+
+  it('should write configs that pass checkConfig', function() {
+    scaffold({ state: 'ga', county: 'Fulton', root });
+    scaffold({ state: 'ga', js: true, root });
+    const statesDir = path.join(root, 'scrapers/states');
+    assert.deepStrictEqual(checkConfig(path.join(statesDir, 'ga/counties/fulton'), { root: statesDir }), []);
+    assert.deepStrictEqual(checkConfig(path.join(statesDir, 'ga'), { root: statesDir }), []);
+  });
+
+  it('should write a CoffeeScript or JavaScript scraper wired to the scraper contract', function() {
+    scaffold({ state: 'ga', county: 'Fulton', indexUrl: "http://example.com/it's", root });
+    const coffeeScraper = read('scrapers/states/ga/counties/fulton/rfps.coffee');
+    assert(coffeeScraper.includes("{defineScraper} = require '../../../../../bin/utils/scraper_result'"));
+    assert(coffeeScraper.includes("INDEX_URL = 'http://example.com/it\\'s'"));
+    coffee.compile(coffeeScraper);
+
+    scaffold({ state: 'ga', js: true, root });
+    const jsScraper = read('scrapers/states/ga/rfps.js');
+    assert(jsScraper.includes("require('../../../bin/utils/scraper_result')"));
+    new vm.Script(jsScraper);
+  });
+
+  it('should describe a scraper in YAML that the declarative engine accepts', function() {
+    const { checkDefinition } = require('../../bin/utils/declarative_scraper');
+    const created = scaffold({ state: 'ga', county: 'Fulton', yaml: true, root });
+    assert(created.files.includes('scrapers/states/ga/counties/fulton/rfps.yml'));
+
+    assert.deepStrictEqual(checkDefinition(yaml.load(read('scrapers/states/ga/counties/fulton/rfps.yml'))), []);
+    const test = read('test/integration/ga_counties_fulton_scraper.test.js');
+    assert(test.includes("loadDeclarativeScraper(scraperPath)({ delay: 0 }"));
+    new vm.Script(test);
+    assert.throws(() => scaffold({ state: 'ga', js: true, yaml: true, root }), /either --js or --yaml/);
+  });
+
+  it('should write a starter test that replays recorded fixtures', function() {
+    scaffold({ state: 'ga', city: 'Atlanta', root });
+    const test = read('test/integration/ga_cities_atlanta_scraper.test.js');
+
+    assert(test.includes("const scraperPath = 'scrapers/states/ga/cities/atlanta/rfps.coffee';"));
+    assert(test.includes("httpFixtures('replay', fixtureDir)"));
+    new vm.Script(test);
+    assert.deepStrictEqual(fs.readdirSync(path.join(root, 'scrapers/states/ga/cities/atlanta/fixtures')), ['.gitkeep']);
+  });
+
+  it('should refuse to overwrite an existing scraper without force', function() {
+    scaffold({ state: 'ga', root });
+    fs.writeFileSync(path.join(root, 'scrapers/states/ga/rfps.coffee'), '# mine');
+
+    assert.throws(() => scaffold({ state: 'ga', root }), /rfps\.coffee.* already exist.*--force/);
+    assert.throws(() => scaffold({ state: 'ga', js: true, root }), /rfps\.coffee/, 'should notice a scraper in the other language');
+    assert.strictEqual(read('scrapers/states/ga/rfps.coffee'), '# mine');
+
+    scaffold({ state: 'ga', force: true, root });
+    assert.notStrictEqual(read('scrapers/states/ga/rfps.coffee'), '# mine');
+  });
+
+  it('should reject bad options', function() {
+    assert.throws(() => scaffold({ state: 'georgia', root }), /Unknown state 'georgia'/);
+    assert.throws(() => scaffold({ state: 'ga', city: 'Atlanta', county: 'Fulton', root }), /either --city or --county/);
+    assert.throws(() => scaffold({ state: 'ga', timezone: 'Eastern', root }), /Unknown timezone 'Eastern'/);
+    assert.throws(() => scaffold({ state: 'ga', city: '!!!', root }), /directory name/);
+    assert.deepStrictEqual(fs.readdirSync(root), []);
+  });
+});
@@ -0,0 +1,274 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const createScheduler = require('../../bin/utils/scheduler');
+const { acquireLock, releaseLock, lockFileFor, backoffFor, readRunLog } = createScheduler;
+
+describe('scheduler utility', function() {
+  const MINUTE = 60 * 1000;
+  let dir;
+  let logFile;
+  let clock;
+  let runs;
+  let outcomes;
+
+  // A stand-in for run_scraper's scrape() that takes a minute, and fails if we say so.
+  const fakeScrape = (scraperPath, opts) => {
+    runs.push({ scraper: scraperPath, at: clock, opts });
+    clock += MINUTE;
+    const outcome = outcomes[scraperPath] || 'ok';
+    const errors = outcome === 'failed' ? [{ fatal: true, message: 'The site is down' }] : [];
+    const items = outcome === 'failed' ? [] : [{ id: '1' }];
+    return new Promise((resolve) => setImmediate(() => resolve({ items, errors })));
+  };
+
+  const scraper = (jurisdiction, config = {}) => ({
+    jurisdiction,
+    kind: 'rfps',
+    path: path.join(dir, jurisdiction, 'rfps.coffee'),
+    config: Object.assign({ timezone: 'UTC' }, config)
+  });
+
+  const scheduler = (scrapers, opts = {}) => createScheduler(scrapers, Object.assign({
+    scrape: fakeScrape,
+    now: () => clock,
+    random: () => 0,
+    log: logFile
+  }, opts));
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-scheduler-'));
+    logFile = path.join(dir, 'schedule.log');
+    clock = Date.parse('2024-03-08T05:30:00Z');
+    runs = [];
+    outcomes = {};
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should run each scraper when its schedule says, in its timezone", async function() {
+    const s = scheduler([
+      scraper('ga', { schedule: '0 6 * * *', timezone: 'America/New_York' }),
+      scraper('or', { schedule: '*/15 * * * *' })
+    ]);
+    assert.strictEqual(new Date(s.jobs[0].next).toISOString(), '2024-03-08T11:00:00.000Z');
+    assert.strictEqual(new Date(s.jobs[1].next).toISOString(), '2024-03-08T05:45:00.000Z');
+
+    await s.tick();
+    assert.deepStrictEqual(runs, [], 'nothing is due yet');
+
+    clock = Date.parse('2024-03-08T05:45:00Z');
+    await s.tick();
+    assert.deepStrictEqual(runs.map((r) => path.basename(path.dirname(r.scraper))), ['or']);
+    assert.strictEqual(runs[0].opts.force, true);
+    assert.strictEqual(runs[0].opts.jurisdiction, 'or');
+  });
+
+  it('should use the default schedule for scrapers without one', function() {
+    const s = scheduler([scraper('ga')], { schedule: '0 5 * * *' });
+    assert.strictEqual(s.jobs[0].schedule, '0 5 * * *');
+    assert.strictEqual(new Date(s.jobs[0].next).toISOString(), '2024-03-09T05:00:00.000Z');
+  });
+
+  it('should pass its run options on to scrape()', async function() {
+    const s = scheduler([scraper('ga', { schedule: '* * * * *' })], { run: { incremental: true, db: 'rfps.sqlite' } });
+    clock += MINUTE;
+    await s.tick();
+    assert.strictEqual(runs[0].opts.incremental, true);
+    assert.strictEqual(runs[0].opts.db, 'rfps.sqlite');
+  });
+
+  it('should run no more than concurrency scrapers at once, and the rest as they finish', async function() {
+    const s = scheduler(['a', 'b', 'c'].map((j) => scraper(j, { schedule: '0 6 * * *' })), { concurrency: 2 });
+    clock = Date.parse('2024-03-08T06:00:00Z');
+
+    const started = s.tick();
+    assert.strictEqual(runs.length, 2);
+    assert.strictEqual(s.active, 2);
+    await started;
+    assert.strictEqual(runs.length, 3);
+    assert.strictEqual(s.active, 0);
+  });
+
+  it('should put runs off by up to the jitter', function() {
+    const s = scheduler([scraper('ga', { schedule: '0 6 * * *' })], { jitter: 10 * MINUTE, random: () => 0.5 });
+    assert.strictEqual(new Date(s.jobs[0].next).toISOString(), '2024-03-08T06:05:00.000Z');
+  });
+
+  it('should skip a scraper whose lock someone else holds', async function() {
+    const ga = scraper('ga', { schedule: '0 6 * * *' });
+    const s = scheduler([ga]);
+    assert(acquireLock(lockFileFor(ga.path)));
+
+    clock = Date.parse('2024-03-08T06:00:00Z');
+    await s.tick();
+    assert.deepStrictEqual(runs, []);
+
+    const [entry] = readRunLog(logFile);
+    assert.strictEqual(entry.outcome, 'locked');
+    assert.strictEqual(entry.next_run_at, '2024-03-09T06:00:00.000Z');
+    releaseLock(lockFileFor(ga.path));
+  });
+
+  it('should release its lock once the run is done', async function() {
+    const ga = scraper('ga', { schedule: '0 6 * * *' });
+    let lockedDuringRun = false;
+    const s = scheduler([ga], {
+      scrape: () => {
+        lockedDuringRun = fs.existsSync(lockFileFor(ga.path));
+        return Promise.resolve({ items: [], errors: [] });
+      }
+    });
+
+    clock = Date.parse('2024-03-08T06:00:00Z');
+    await s.tick();
+    assert(lockedDuringRun);
+    assert(!fs.existsSync(lockFileFor(ga.path)));
+  });
+
+  it('should take over a stale lock', function() {
+    const file = path.join(dir, 'ga', '.cache', 'rfps.lock');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    fs.writeFileSync(file, JSON.stringify({ pid: process.pid, started_at: new Date().toISOString() }));
+    assert.strictEqual(acquireLock(file), false, 'a live lock');
+
+    fs.writeFileSync(file, JSON.stringify({ pid: process.pid, started_at: '2024-01-01T00:00:00Z' }));
+    assert.strictEqual(acquireLock(file), true, 'a lock that is too old');
+
+    fs.writeFileSync(file, 'garbage');
+    assert.strictEqual(acquireLock(file), true, 'a lock we cannot read');
+    assert.strictEqual(JSON.parse(fs.readFileSync(file)).pid, process.pid);
+  });
+
+  it('should back off after failures, and recover after a success', async function() {
+    const ga = scraper('ga', { schedule: '*/5 * * * *' });
+    outcomes[ga.path] = 'failed';
+    const s = scheduler([ga], { backoff: 15 * MINUTE });
+
+    clock = Date.parse('2024-03-08T05:35:00Z');
+    await s.tick();
+    // Failed at 05:36: the next run is 15 minutes later, instead of at 05:40.
+    assert.strictEqual(new Date(s.jobs[0].next).toISOString(), '2024-03-08T05:51:00.000Z');
+
+    clock = s.jobs[0].next;
+    await s.tick();
+    assert.strictEqual(s.jobs[0].failures, 2);
+    assert.strictEqual(new Date(s.jobs[0].next).toISOString(), '2024-03-08T06:22:00.000Z');
+
+    outcomes[ga.path] = 'ok';
+    clock = s.jobs[0].next;
+    await s.tick();
+    assert.strictEqual(s.jobs[0].failures, 0);
+    assert.strictEqual(new Date(s.jobs[0].next).toISOString(), '2024-03-08T06:25:00.000Z');
+
+    assert.deepStrictEqual(readRunLog(logFile).map((e) => e.outcome), ['failed', 'failed', 'ok']);
+  });
+
+  it('should double the backoff with every failure, up to the maximum', function() {
+    assert.strictEqual(backoffFor(0), 0);
+    assert.strictEqual(backoffFor(1, { backoff: MINUTE }), MINUTE);
+    assert.strictEqual(backoffFor(3, { backoff: MINUTE }), 4 * MINUTE);
+    assert.strictEqual(backoffFor(20, { backoff: MINUTE, maxBackoff: 60 * MINUTE }), 60 * MINUTE);
+  });
+
+  it('should log what ran, when, and how it went', async function() {
+    const ga = scraper('ga', { schedule: '0 6 * * *' });
+    const logged = [];
+    const s = scheduler([ga], { onRun: (entry) => logged.push(entry) });
+
+    clock = Date.parse('2024-03-08T06:00:00Z');
+    await s.tick();
+
+    const [entry] = readRunLog(logFile);
+    assert.deepStrictEqual(entry, {
+      jurisdiction: 'ga',
+      kind: 'rfps',
+      scraper: ga.path,
+      scheduled_at: '2024-03-08T06:00:00.000Z',
+      started_at: '2024-03-08T06:00:00.000Z',
+      finished_at: '2024-03-08T06:01:00.000Z',
+      duration_ms: MINUTE,
+      outcome: 'ok',
+      items: 1,
+      errors: 0,
+      failures: 0,
+      next_run_at: '2024-03-09T06:00:00.000Z'
+    });
+    assert.deepStrictEqual(logged, [entry]);
+  });
+
+  it('should run real scrapers without printing anything, and log the ones that fail to load as failed', async function() {
+    // Loads run_scraper and its dependencies for real, which can take a while the first time.
+    this.timeout(10000);
+    const ga = scraper('ga', { schedule: '0 6 * * *' });
+    const tx = scraper('tx', { schedule: '0 6 * * *' });
+    [ga, tx].forEach((s) => fs.mkdirSync(path.dirname(s.path), { recursive: true }));
+    fs.writeFileSync(ga.path, "module.exports = (ctx) -> Promise.resolve [{ id: 'GA-1', title: 'Road Salt' }]\n");
+    fs.writeFileSync(tx.path, 'module.exports = (ctx) ->\n  [\n');
+
+    const logged = [];
+    const s = createScheduler([ga, tx], { now: () => clock, random: () => 0, log: logFile, onRun: (entry) => logged.push(entry) });
+    const writes = [];
+    const stdout = process.stdout.write;
+    const stderr = process.stderr.write;
+    process.stdout.write = process.stderr.write = (chunk) => { writes.push(String(chunk)); return true; };
+
+    try {
+      clock = Date.parse('2024-03-08T06:00:00Z');
+      await s.tick();
+    } finally {
+      process.stdout.write = stdout;
+      process.stderr.write = stderr;
+    }
+
+    assert.deepStrictEqual(writes, []);
+    assert.deepStrictEqual(logged.map((entry) => [entry.jurisdiction, entry.outcome, entry.items]).sort(), [['ga', 'ok', 1], ['tx', 'failed', 0]]);
+    assert.match(logged.find((entry) => entry.jurisdiction === 'tx').message, /^Couldn't load .*tx\/rfps\.coffee/);
+    assert.deepStrictEqual(readRunLog(logFile), logged);
+  });
+
+  it('should pick up the failures in a row from the run log', function() {
+    const ga = scraper('ga', { schedule: '0 6 * * *' });
+    fs.writeFileSync(logFile, [
+      { scraper: ga.path, outcome: 'ok' },
+      { scraper: ga.path, outcome: 'failed' },
+      { scraper: ga.path, outcome: 'locked' },
+      { scraper: ga.path, outcome: 'failed' }
+    ].map((e) => JSON.stringify(e)).join('\n') + '\n');
+
+    assert.strictEqual(scheduler([ga]).jobs[0].failures, 2);
+  });
+
+  it('should leave out scrapers it cannot schedule', function() {
+    const s = scheduler([
+      scraper('ga', { schedule: '0 25 * * *' }),
+      scraper('or', { schedule: '0 0 30 2 *' }),
+      scraper('tx', { timezone: 'Central' }),
+      scraper('wa')
+    ]);
+    assert.deepStrictEqual(s.jobs.map((j) => j.name), ['wa']);
+    assert.deepStrictEqual(s.problems, [
+      "ga: '25' isn't a valid hour in '0 25 * * *'",
+      "or: '0 0 30 2 *' never runs",
+      "tx: 'Central' isn't an IANA timezone"
+    ]);
+  });
+
+  it('should stop starting scrapers, and wait for the running ones', async function() {
+    const s = scheduler([scraper('ga', { schedule: '* * * * *' })], { interval: 10 });
+    clock += MINUTE;
+    s.start();
+    assert.strictEqual(s.active, 1);
+    await s.stop();
+    assert.strictEqual(s.active, 0);
+    assert.strictEqual(runs.length, 1);
+  });
+});
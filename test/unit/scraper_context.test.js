@@ -0,0 +1,150 @@
+const assert = require('assert');
+const http = require('http');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const scraperContext = require('../../bin/utils/scraper_context');
+
+describe('scraper_context utility', function() {
+  let server;
+  let baseUrl;
+  let requests = [];
+  let flakyFailures = 0;
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers, time: Date.now() });
+
+      if (req.url === '/login') {
+        res.writeHead(200, { 'Set-Cookie': 'JSESSIONID=abc123; Path=/; HttpOnly' });
+        return res.end('ok');
+      }
+      if (req.url === '/flaky' && flakyFailures > 0) {
+        flakyFailures -= 1;
+        res.writeHead(503);
+        return res.end('try again');
+      }
+      if (req.url === '/broken') {
+        res.writeHead(500);
+        return res.end('broken');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(req.headers.cookie || '');
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requests = [];
+  });
+
+  const quietContext = (opts = {}) => scraperContext(Object.assign({
+    delay: 0,
+    retryDelay: 10,
+    logLevel: 'error'
+  }, opts));
+
+  it('should keep the scraper options on the context', function() {
+    const ctx = quietContext({ limit: 5 });
+    assert.strictEqual(ctx.limit, 5);
+    assert.strictEqual(ctx.concurrency, scraperContext.DEFAULTS.concurrency);
+    assert.strictEqual(typeof ctx.http.get, 'function');
+    assert.strictEqual(typeof ctx.log.info, 'function');
+  });
+
+  it('should return an existing context unchanged', function() {
+    const ctx = quietContext();
+    assert.strictEqual(scraperContext(ctx), ctx);
+  });
+
+  it('should send the configured User-Agent', async function() {
+    const ctx = quietContext({ userAgent: 'openrfps-test/1.0' });
+    await ctx.http.get(`${baseUrl}/`);
+    assert.strictEqual(requests[0].headers['user-agent'], 'openrfps-test/1.0');
+  });
+
+  it('should keep cookies within a session', async function() {
+    const ctx = quietContext();
+    const session = ctx.session();
+    await session.get(`${baseUrl}/login`);
+    const response = await session.get(`${baseUrl}/`);
+    assert.strictEqual(response.data, 'JSESSIONID=abc123');
+
+    // ...but not share them with other sessions
+    const other = await ctx.session().get(`${baseUrl}/`);
+    assert.strictEqual(other.data, '');
+  });
+
+  it('should retry server errors with backoff', async function() {
+    flakyFailures = 2;
+    const ctx = quietContext();
+    const response = await ctx.http.get(`${baseUrl}/flaky`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(requests.length, 3);
+    assert(requests[2].time - requests[1].time >= requests[1].time - requests[0].time);
+  });
+
+  it('should give up after the configured number of retries', async function() {
+    const ctx = quietContext({ retries: 1 });
+    await assert.rejects(ctx.http.get(`${baseUrl}/broken`), /status code 500/);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(ctx.log.entries.filter((e) => e.level === 'warn').length, 1);
+  });
+
+  it('should count the HTTP statuses of every client, retries included', async function() {
+    flakyFailures = 1;
+    const ctx = quietContext({ retries: 0 });
+    await ctx.http.get(`${baseUrl}/`);
+    await ctx.session().get(`${baseUrl}/login`);
+    await assert.rejects(ctx.http.get(`${baseUrl}/flaky`));
+    assert.deepStrictEqual(ctx.httpStatuses, { 200: 2, 503: 1 });
+  });
+
+  it('should space out requests to the same host', async function() {
+    const ctx = quietContext({ delay: 50 });
+    await Promise.all([1, 2, 3].map(() => ctx.http.get(`${baseUrl}/`)));
+    assert.strictEqual(requests.length, 3);
+    const times = requests.map((r) => r.time).sort();
+    assert(times[2] - times[0] >= 90, 'requests should be at least 50ms apart');
+  });
+
+  it('should emit items up to the limit, checkpointing each one', function() {
+    const { Checkpoint } = require('../../bin/utils/checkpoint');
+    const seen = [];
+    const ctx = quietContext({ limit: 2, checkpoint: new Checkpoint(null, [{ id: 'old' }]), onItem: (item) => seen.push(item.id) });
+
+    assert.strictEqual(ctx.emit({ id: '1' }), true);
+    assert.strictEqual(ctx.emit({ id: '2' }), false, 'should say when the limit is reached');
+    assert.strictEqual(ctx.emit({ id: '3' }), false);
+    assert.strictEqual(ctx.limitReached(), true);
+    assert.deepStrictEqual(ctx.emitted.map((item) => item.id), ['1', '2']);
+    assert.deepStrictEqual(seen, ['1', '2']);
+    assert.strictEqual(ctx.checkpoint.size(), 3);
+    assert.deepStrictEqual(ctx.checkpoint.get('old'), { id: 'old' });
+  });
+
+  it('should run iteratees with bounded concurrency', function(done) {
+    const ctx = quietContext({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+
+    ctx.eachLimit([1, 2, 3, 4, 5], (item, cb) => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      setTimeout(() => { running -= 1; cb(); }, 5);
+    }, (err) => {
+      assert.ifError(err);
+      assert.strictEqual(maxRunning, 2);
+      done();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const runScraperFunction = require('../../bin/utils/scraper_result');
+const { defineScraper, buildResult, hasFatalError, formatReport } = runScraperFunction;
+const scraperContext = require('../../bin/utils/scraper_context');
+const createLogger = require('../../bin/utils/logger');
+
+describe('scraper_result utility', function() {
+  const quietContext = () => scraperContext({ log: createLogger('test', { silent: true }) });
+
+  describe('buildResult()', function() {
+    it('should wrap a plain array of items', function() {
+      const result = buildResult([{ id: '1' }], {}, Date.now());
+      assert.deepStrictEqual(result.items, [{ id: '1' }]);
+      assert.deepStrictEqual(result.errors, []);
+      assert.deepStrictEqual(result.warnings, []);
+      assert.strictEqual(result.stats.items, 1);
+    });
+
+    it('should merge errors reported on the context with returned ones', function() {
+      const ctx = quietContext();
+      ctx.reportError(new Error('Detail page failed'), { id: '2' });
+      ctx.reportWarning('No contact email');
+
+      const result = buildResult({ items: [], errors: ['Something else'], warnings: ['Odd date'] }, ctx, Date.now());
+      assert.deepStrictEqual(result.errors.map((e) => e.message), ['Detail page failed', 'Something else']);
+      assert.deepStrictEqual(result.warnings.map((w) => w.message), ['No contact email', 'Odd date']);
+      assert.strictEqual(hasFatalError(result), false);
+    });
+  });
+
+  describe('running scrapers', function() {
+    it('should support the callback contract', async function() {
+      const result = await runScraperFunction((opts, done) => done([{ id: '1' }]), quietContext());
+      assert.deepStrictEqual(result.items, [{ id: '1' }]);
+    });
+
+    it('should wait for done from a callback scraper that returns a Promise', async function() {
+      const result = await runScraperFunction((opts, done) => {
+        return Promise.resolve().then(() => {
+          setTimeout(() => done([{ id: '1' }, { id: '2' }]), 10);
+        });
+      }, quietContext());
+      assert.deepStrictEqual(result.items, [{ id: '1' }, { id: '2' }]);
+
+      const failed = await runScraperFunction((opts, done) => Promise.reject(new Error('The site is down')), quietContext());
+      assert.strictEqual(hasFatalError(failed), true);
+    });
+
+    it("should use the emitted items when a scraper doesn't return any", async function() {
+      const result = await runScraperFunction((ctx) => {
+        ctx.emit({ id: '1' });
+        ctx.emit({ id: '2' });
+        return Promise.resolve();
+      }, quietContext());
+      assert.deepStrictEqual(result.items, [{ id: '1' }, { id: '2' }]);
+      assert.strictEqual(result.stats.items, 2);
+    });
+
+    it('should use the emitted items when a scraper emits them and resolves an empty list', async function() {
+      const result = await runScraperFunction((ctx) => {
+        ctx.emit({ id: '1' });
+        ctx.emit({ id: '2' });
+        return Promise.resolve([]);
+      }, quietContext());
+      assert.deepStrictEqual(result.items, [{ id: '1' }, { id: '2' }]);
+      assert.strictEqual(result.stats.items, 2);
+    });
+
+    it('should turn a thrown error into a fatal error', async function() {
+      const result = await runScraperFunction(() => { throw new Error('boom'); }, quietContext());
+      assert.deepStrictEqual(result.items, []);
+      assert.strictEqual(hasFatalError(result), true);
+      assert(formatReport(result)[0].includes('boom'));
+    });
+  });
+
+  describe('defineScraper()', function() {
+    const scraper = defineScraper((ctx) => Promise.resolve([{ id: String(ctx.limit) }]));
+
+    it('should call back with the items and the result', function(done) {
+      scraper({ limit: 3, logLevel: 'error' }, (items, result) => {
+        assert.deepStrictEqual(items, [{ id: '3' }]);
+        assert.strictEqual(result.stats.items, 1);
+        done();
+      });
+    });
+
+    it('should return a Promise for the result', async function() {
+      const result = await scraper({ limit: 4, logLevel: 'error' });
+      assert.deepStrictEqual(result.items, [{ id: '4' }]);
+    });
+
+    it('should call back with no items when the scraper fails', function(done) {
+      const broken = defineScraper(() => Promise.reject(new Error('The site is down')));
+      broken({ log: createLogger('test', { silent: true }) }, (items, result) => {
+        assert.deepStrictEqual(items, []);
+        assert.strictEqual(hasFatalError(result), true);
+        done();
+      });
+    });
+  });
+});
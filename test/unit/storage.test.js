@@ -0,0 +1,99 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const openStorage = require('../../bin/utils/storage');
+
+describe('storage utility', function() {
+  let dir;
+  let dbPath;
+
+  const rfp = {
+    id: '47800-DOAS0001',
+    title: 'Office Supplies',
+    department_name: 'Department of Administrative Services',
+    responses_due_at: '3/15/2024 2:00 PM',
+    prebid_conferences: [{ attendance_mandatory: true, datetime: '3/1/2024 10:00 AM', address: '200 Piedmont Ave' }],
+    downloads: ['http://example.com/rfp.pdf'],
+    nigp_codes: ['61500', '61520']
+  };
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openrfps-storage-'));
+    dbPath = path.join(dir, 'openrfps.sqlite');
+  });
+
+  afterEach(async function() {
+    (await openStorage(dbPath)).close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should insert new RFPs with child rows', async function() {
+    const storage = await openStorage(dbPath);
+    const counts = storage.upsert('ga', [rfp], new Date('2024-03-01T00:00:00Z'));
+    assert.deepStrictEqual(counts, { inserted: 1, updated: 0, unchanged: 0 });
+
+    const stored = storage.getRfp('ga', rfp.id);
+    assert.strictEqual(stored.title, 'Office Supplies');
+    assert.strictEqual(stored._meta.version, 1);
+    assert.strictEqual(stored._meta.first_seen_at, '2024-03-01T00:00:00.000Z');
+
+    assert.strictEqual(storage.all('SELECT * FROM rfp_downloads').length, 1);
+    assert.strictEqual(storage.all('SELECT * FROM rfp_conferences')[0].attendance_mandatory, 1);
+    assert.deepStrictEqual(storage.all('SELECT code FROM rfp_nigp_codes ORDER BY code').map((r) => r.code), ['61500', '61520']);
+  });
+
+  it('should only touch last_seen_at for unchanged RFPs', async function() {
+    const storage = await openStorage(dbPath);
+    storage.upsert('ga', [rfp], new Date('2024-03-01T00:00:00Z'));
+    const counts = storage.upsert('ga', [Object.assign({}, rfp)], new Date('2024-03-02T00:00:00Z'));
+    assert.deepStrictEqual(counts, { inserted: 0, updated: 0, unchanged: 1 });
+
+    const stored = storage.getRfp('ga', rfp.id);
+    assert.strictEqual(stored._meta.version, 1);
+    assert.strictEqual(stored._meta.last_seen_at, '2024-03-02T00:00:00.000Z');
+    assert.strictEqual(storage.history('ga', rfp.id).length, 1);
+  });
+
+  it('should keep a version history when an RFP changes', async function() {
+    const storage = await openStorage(dbPath);
+    storage.upsert('ga', [rfp], new Date('2024-03-01T00:00:00Z'));
+
+    const revised = Object.assign({}, rfp, {
+      responses_due_at: '3/22/2024 2:00 PM',
+      downloads: rfp.downloads.concat(['http://example.com/addendum1.pdf'])
+    });
+    const counts = storage.upsert('ga', [revised], new Date('2024-03-05T00:00:00Z'));
+    assert.deepStrictEqual(counts, { inserted: 0, updated: 1, unchanged: 0 });
+
+    const history = storage.history('ga', rfp.id);
+    assert.deepStrictEqual(history.map((v) => v.version), [1, 2]);
+    assert.strictEqual(history[0].item.responses_due_at, '3/15/2024 2:00 PM');
+    assert.strictEqual(history[1].item.responses_due_at, '3/22/2024 2:00 PM');
+
+    const stored = storage.getRfp('ga', rfp.id);
+    assert.strictEqual(stored._meta.first_seen_at, '2024-03-01T00:00:00.000Z');
+    assert.strictEqual(storage.all('SELECT * FROM rfp_downloads').length, 2);
+  });
+
+  it('should key RFPs by jurisdiction as well as id', async function() {
+    const storage = await openStorage(dbPath);
+    storage.upsert('ga', [rfp]);
+    storage.upsert('ga/counties/fulton', [rfp]);
+    assert.strictEqual(storage.all('SELECT * FROM rfps').length, 2);
+  });
+
+  it('should persist to disk', async function() {
+    const storage = await openStorage(dbPath);
+    storage.upsert('ga', [rfp]);
+    storage.save();
+    storage.close();
+
+    const reopened = await openStorage(dbPath);
+    assert.strictEqual(reopened.getRfp('ga', rfp.id).title, 'Office Supplies');
+  });
+});
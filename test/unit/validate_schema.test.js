@@ -0,0 +1,103 @@
+const assert = require('assert');
+const _ = require('underscore');
+
+// Register CoffeeScript compiler
+require('coffeescript/register');
+
+const validateSchema = require('../../bin/utils/validate_schema');
+
+describe('validate_schema utility', function() {
+  it('should pass a complete, well-formed RFP', function() {
+    const report = validateSchema([{
+      id: 'GA-12345',
+      html_url: 'http://ssl.doas.state.ga.us/PRSapp/PublicBidDetail?bso=12345',
+      title: 'Test RFP for Services',
+      department_name: 'Department of Technology',
+      contact_email: ' john.doe@example.com ',
+      awarded: false,
+      prebid_conferences: [
+        { attendance_mandatory: true, datetime: '2024-02-01 10:00 AM', address: '123 Main St' }
+      ],
+      downloads: ['http://example.com/rfp-document.pdf'],
+      documents: [{
+        url: 'http://example.com/rfp-document.pdf',
+        sha256: 'a'.repeat(64),
+        mime_type: 'application/pdf',
+        size: 1024,
+        path: `aa/${'a'.repeat(64)}.pdf`,
+        text_path: `aa/${'a'.repeat(64)}.txt`,
+        fetched_at: '2024-03-01T12:00:00.000Z'
+      }],
+      nigp_codes: ['123', '456']
+    }]);
+
+    assert.strictEqual(report.total, 1);
+    assert.strictEqual(report.failed, 0);
+    assert.deepStrictEqual(report.rules, []);
+  });
+
+  it('should accept a blank contact email', function() {
+    const report = validateSchema([{ id: '1', title: 'RFP', contact_email: '' }]);
+    assert.strictEqual(report.failed, 0);
+  });
+
+  it('should report missing required fields', function() {
+    const report = validateSchema([{ id: '1' }, { title: 'No id' }]);
+    assert.strictEqual(report.failed, 2);
+
+    const fields = _.pluck(report.rules, 'field');
+    assert.deepStrictEqual(fields, ['id', 'title']);
+    assert.strictEqual(report.rules[0].rule, 'required');
+    assert.deepStrictEqual(report.rules[0].items, ['#1']);
+    assert.deepStrictEqual(report.rules[1].items, ['1']);
+  });
+
+  it('should catch misspelled keys', function() {
+    const report = validateSchema([{ id: '1', title: 'RFP', contact_emial: 'a@b.com' }]);
+    assert.strictEqual(report.failed, 1);
+    assert.strictEqual(report.rules[0].field, 'contact_emial');
+    assert.strictEqual(report.rules[0].rule, 'additionalProperties');
+  });
+
+  it('should group nested array failures by field', function() {
+    const report = validateSchema([
+      { id: '1', title: 'RFP 1', prebid_conferences: [{ datetime: 'noon' }, { datetime: 'later' }] },
+      { id: '2', title: 'RFP 2', prebid_conferences: [{ attendance_mandatory: 'Mandatory' }] },
+      { id: '3', title: 'RFP 3', nigp_codes: ['123', 'ABC'] }
+    ]);
+
+    assert.strictEqual(report.failed, 3);
+
+    const missing = _.findWhere(report.rules, { field: 'prebid_conferences[].attendance_mandatory', rule: 'required' });
+    assert.deepStrictEqual(missing.items, ['1']);
+
+    const wrongType = _.findWhere(report.rules, { field: 'prebid_conferences[].attendance_mandatory', rule: 'type' });
+    assert.deepStrictEqual(wrongType.items, ['2']);
+
+    const badCode = _.findWhere(report.rules, { field: 'nigp_codes[]', rule: 'pattern' });
+    assert.deepStrictEqual(badCode.items, ['3']);
+  });
+
+  describe('award schema', function() {
+    it('should pass a complete, well-formed award', function() {
+      const report = validateSchema([{
+        id: 'GA-AWD-1',
+        rfp_id: '47800-DOAS0001',
+        title: 'Office Supplies',
+        vendor_name: 'Acme Office Supply, Inc.',
+        amount: '$1,250,000.00',
+        awarded_at: '4/1/2024',
+        contract_term: '1 year with 4 renewals',
+        downloads: ['http://example.com/award-notice.pdf']
+      }, { id: 'GA-AWD-2', vendor_name: 'Widgets LLC', amount: 5000 }], 'award');
+
+      assert.strictEqual(report.failed, 0);
+    });
+
+    it('should require a vendor, and reject RFP-only fields', function() {
+      const report = validateSchema([{ id: 'GA-AWD-1', responses_due_at: '3/15/2024' }], 'award');
+      assert.deepStrictEqual(_.pluck(report.rules, 'field'), ['responses_due_at', 'vendor_name']);
+    });
+  });
+});
+